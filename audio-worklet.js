@@ -8,6 +8,11 @@ class PCMProcessor extends AudioWorkletProcessor {
         this.port.onmessage = (event) => {
             if (event.data === "STOP") {
                 this.shouldStop = true;
+            } else if (event.data === "ABORT") {
+                // 立即停止：丢弃尚未播放的数据
+                this.bufferQueue = [];
+                this.buffer = new Float32Array(0);
+                this.shouldStop = true;
             } else {
                 // 确保数据是 Float32Array
                 this.bufferQueue.push(event.data);
@@ -3,5 +3,11 @@
 
 window.POLLINATIONS_CONFIG = {
   // Default API key - leave empty for manual input, or add your key here
-  API_KEY: ''
+  API_KEY: '',
+
+  // Optional: point the app at a staging gateway, proxy or local mock server
+  // API_BASE_URL: 'https://gen.pollinations.ai',
+
+  // Optional: extra headers sent with every request
+  // API_HEADERS: { 'X-Proxy-Token': '...' }
 };
@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+/**
+ * Mock Pollinations Server
+ * Serves recorded fixtures for offline development, demos and tests
+ *
+ * Usage:
+ *   node mock-server/server.mjs                    # replay fixtures on http://localhost:8787
+ *   node mock-server/server.mjs --port 9000        # custom port
+ *   node mock-server/server.mjs --delay 0          # no delay between streamed events
+ *   node mock-server/server.mjs --record           # proxy to gen.pollinations.ai and save fixtures
+ *   node mock-server/server.mjs --record --target https://staging.example.com
+ *
+ * Point the app at it with API_BASE_URL in config.js or the Connection Settings panel.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const ROUTES = {
+  'GET /text/models': 'text-models',
+  'POST /v1/chat/completions': 'chat-completions',
+  'POST /v1/audio/speech': 'audio-speech',
+  'POST /v1/audio/transcriptions': 'audio-transcriptions',
+  'GET /account/key': 'account-key',
+  'GET /account/profile': 'account-profile',
+  'GET /account/balance': 'account-balance',
+  'GET /account/usage': 'account-usage',
+  'GET /account/usage/daily': 'account-usage-daily',
+  'GET /image/models': 'image-models'
+};
+
+// Routes whose last path segment is user input, e.g. GET /image/{prompt}
+const PREFIX_ROUTES = {
+  'GET /image/': 'image',
+  'GET /text/': 'text',
+  'GET /audio/': 'audio'
+};
+
+/**
+ * Find the fixture base name for a request
+ * Exact routes win over prefix routes, so /image/models is not treated as a prompt.
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @returns {string|undefined} Base fixture name
+ */
+function resolveRoute(method, pathname) {
+  const key = `${method} ${pathname}`;
+  if (ROUTES[key]) return ROUTES[key];
+
+  const prefix = Object.keys(PREFIX_ROUTES).find(p => key.startsWith(p) && key.length > p.length);
+  return prefix ? PREFIX_ROUTES[prefix] : undefined;
+}
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} argv - Process arguments
+ * @returns {Object} Options { port, delay, record, target }
+ */
+function parseArgs(argv) {
+  const options = {
+    port: 8787,
+    delay: 30,
+    record: false,
+    target: 'https://gen.pollinations.ai'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port':
+        options.port = Number(argv[++i]);
+        break;
+      case '--delay':
+        options.delay = Number(argv[++i]);
+        break;
+      case '--record':
+        options.record = true;
+        break;
+      case '--target':
+        options.target = argv[++i].replace(/\/+$/, '');
+        break;
+      default:
+        console.warn(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Build a response body in the gateway's documented error schema
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Object} Error body
+ */
+function errorBody(status, code, message) {
+  return {
+    status,
+    success: false,
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString(),
+      details: { name: 'MockServerError' },
+      requestId: `mock_${Date.now()}`,
+      cause: null
+    }
+  };
+}
+
+/**
+ * Read the full request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Buffer>} Raw body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Fixture names to try for a request, most specific first
+ * Chat completions are split by streaming and audio output, e.g.
+ * `chat-completions.audio.stream` falls back to `chat-completions.stream`.
+ * @param {string} base - Base fixture name for the route
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Request Content-Type
+ * @returns {Array<string>} Candidate fixture names
+ */
+function fixtureCandidates(base, body, contentType) {
+  if (base !== 'chat-completions' || !contentType.includes('application/json')) {
+    return [base];
+  }
+
+  let request = {};
+  try {
+    request = JSON.parse(body.toString('utf8'));
+  } catch (e) {
+    // Invalid JSON, use the plain fixture
+  }
+
+  const stream = request.stream ? '.stream' : '';
+  const audio = Array.isArray(request.modalities) && request.modalities.includes('audio');
+
+  return audio
+    ? [`${base}.audio${stream}`, `${base}${stream}`]
+    : [`${base}${stream}`];
+}
+
+/**
+ * Load the first existing fixture
+ * @param {Array<string>} names - Candidate fixture names
+ * @returns {Object|null} Fixture { response: { status, headers, body | bodyBase64 | events } }
+ */
+function loadFixture(names) {
+  for (const name of names) {
+    const file = path.join(FIXTURES_DIR, `${name}.json`);
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  }
+  return null;
+}
+
+/**
+ * Save a recorded fixture
+ * @param {string} name - Fixture name
+ * @param {Object} fixture - Fixture data
+ */
+function saveFixture(name, fixture) {
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(FIXTURES_DIR, `${name}.json`), JSON.stringify(fixture, null, 2) + '\n');
+  console.log(`  ↳ recorded fixture ${name}.json`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send CORS headers so the browser app can call the mock from another port
+ * @param {http.ServerResponse} res - Server response
+ */
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-Request-Id');
+}
+
+/**
+ * Replay a fixture
+ * @param {http.ServerResponse} res - Server response
+ * @param {Object} fixture - Fixture data
+ * @param {number} delay - Delay between streamed events in milliseconds
+ */
+async function replayFixture(res, fixture, delay) {
+  const { status = 200, headers = {}, body, bodyBase64, events } = fixture.response;
+
+  if (events) {
+    res.writeHead(status, { ...headers, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    for (const event of events) {
+      if (res.destroyed) return;
+      const data = typeof event === 'string' ? event : JSON.stringify(event);
+      res.write(`data: ${data}\n\n`);
+      if (delay) await sleep(delay);
+    }
+    res.end();
+    return;
+  }
+
+  if (bodyBase64 != null) {
+    res.writeHead(status, headers);
+    res.end(Buffer.from(bodyBase64, 'base64'));
+    return;
+  }
+
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Forward a request upstream, relay the response and record it as a fixture
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Server response
+ * @param {Buffer} body - Raw request body
+ * @param {string} fixtureName - Fixture to write
+ * @param {string} target - Upstream base URL
+ */
+async function recordFixture(req, res, body, fixtureName, target) {
+  const headers = {};
+  for (const name of ['authorization', 'content-type', 'accept']) {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  }
+
+  const upstream = await fetch(`${target}${req.url}`, {
+    method: req.method,
+    headers,
+    body: req.method === 'GET' ? undefined : body
+  });
+
+  const contentType = upstream.headers.get('content-type') || '';
+  const responseHeaders = { 'Content-Type': contentType };
+  const retryAfter = upstream.headers.get('retry-after');
+  if (retryAfter) responseHeaders['Retry-After'] = retryAfter;
+
+  res.writeHead(upstream.status, responseHeaders);
+
+  // Relay the body as it arrives so streaming still works while recording
+  const chunks = [];
+  const reader = upstream.body.getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(Buffer.from(value));
+    res.write(value);
+  }
+  res.end();
+
+  const raw = Buffer.concat(chunks);
+  const response = { status: upstream.status, headers: responseHeaders };
+
+  if (contentType.includes('text/event-stream')) {
+    response.events = raw.toString('utf8')
+      .split(/\r?\n\r?\n/)
+      .map(block => block.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n'))
+      .filter(data => data)
+      .map(data => {
+        try {
+          return JSON.parse(data);
+        } catch (e) {
+          return data; // e.g. [DONE]
+        }
+      });
+  } else if (contentType.includes('json')) {
+    response.body = JSON.parse(raw.toString('utf8'));
+  } else {
+    response.bodyBase64 = raw.toString('base64');
+  }
+
+  if (upstream.ok) {
+    saveFixture(fixtureName, { recordedAt: new Date().toISOString(), source: target, response });
+  } else {
+    console.warn(`  ↳ upstream returned ${upstream.status}, not recording`);
+  }
+}
+
+/**
+ * Create the mock server
+ * @param {Object} options - Options from parseArgs
+ * @returns {http.Server} Server instance (not yet listening)
+ */
+export function createMockServer(options) {
+  return http.createServer(async (req, res) => {
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const base = resolveRoute(req.method, pathname);
+    console.log(`${req.method} ${pathname}`);
+
+    try {
+      const body = await readBody(req);
+
+      if (!base) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(errorBody(404, 'NOT_FOUND', `Mock server has no route for ${req.method} ${pathname}`)));
+        return;
+      }
+
+      const candidates = fixtureCandidates(base, body, req.headers['content-type'] || '');
+
+      if (options.record) {
+        await recordFixture(req, res, body, candidates[0], options.target);
+        return;
+      }
+
+      const fixture = loadFixture(candidates);
+      if (!fixture) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(errorBody(404, 'NOT_FOUND',
+          `No fixture found (tried ${candidates.join(', ')}). Run with --record to capture one.`)));
+        return;
+      }
+
+      await replayFixture(res, fixture, options.delay);
+    } catch (error) {
+      console.error('Mock server error:', error);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(errorBody(500, 'INTERNAL_ERROR', error.message)));
+      } else {
+        res.end();
+      }
+    }
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2));
+  createMockServer(options).listen(options.port, () => {
+    const mode = options.record ? `recording from ${options.target}` : 'replaying fixtures';
+    console.log(`Mock Pollinations server on http://localhost:${options.port} (${mode})`);
+  });
+}
@@ -21,25 +21,119 @@ const App = () => {
   const [useAudioInput, setUseAudioInput] = React.useState(true);
   const [systemPrompt, setSystemPrompt] = React.useState('You are a helpful assistant.');
   const [showMarkdown, setShowMarkdown] = React.useState(false);
-  const [apiKey, setApiKey] = React.useState(() => {
-    return (window.POLLINATIONS_CONFIG && window.POLLINATIONS_CONFIG.API_KEY) || '';
-  });
+  const [apiKey, setApiKey] = React.useState(() => window.PollinationsConfig.getApiKey());
   const [ttsFormat, setTtsFormat] = React.useState('mp3');
   const [ttsSpeed, setTtsSpeed] = React.useState(1);
   const [ttsModel, setTtsModel] = React.useState('tts-1');
+  const [ttsMode, setTtsMode] = React.useState('speech');
+  const [musicModel, setMusicModel] = React.useState(window.PollinationsConstants.MUSIC.DEFAULT_MODEL);
+  const [musicDuration, setMusicDuration] = React.useState(window.PollinationsConstants.MUSIC.DEFAULT_DURATION);
+  const [musicInstrumental, setMusicInstrumental] = React.useState(false);
+  const [audioClips, setAudioClips] = React.useState([]);
+  const [retryStatus, setRetryStatus] = React.useState('');
+  const [droppedParameters, setDroppedParameters] = React.useState(null);
+  const [enableTools, setEnableTools] = React.useState(false);
+  const [simpleMode, setSimpleMode] = React.useState(false);
+  const [compareMode, setCompareMode] = React.useState(false);
+  const [seed, setSeed] = React.useState(null);
+  const [seedLocked, setSeedLocked] = React.useState(false);
+  const [lastRequest, setLastRequest] = React.useState(null);
+  const [rerunPending, setRerunPending] = React.useState(null);
+  const [pendingTurn, setPendingTurn] = React.useState(null);
+  const [promptCaching, setPromptCaching] = React.useState(true);
+  const [systemPromptCache, setSystemPromptCache] = React.useState(undefined);
+  const [simpleRequestUrl, setSimpleRequestUrl] = React.useState('');
+  const [urlCopied, setUrlCopied] = React.useState(false);
+  const [structuredMode, setStructuredMode] = React.useState(false);
+  const [schemaText, setSchemaText] = React.useState('');
+  const [structuredResult, setStructuredResult] = React.useState(null);
+  const [reasoningOptions, setReasoningOptions] = React.useState({
+    effort: '',
+    thinking: false,
+    budget: window.PollinationsConstants.REASONING.DEFAULT_BUDGET
+  });
+  const [reasoningText, setReasoningText] = React.useState('');
+  const [responseImages, setResponseImages] = React.useState([]);
+  const [responseCitations, setResponseCitations] = React.useState([]);
+  const [showLogprobs, setShowLogprobs] = React.useState(false);
+  const [topLogprobs, setTopLogprobs] = React.useState(window.PollinationsConstants.LOGPROBS.DEFAULT_TOP);
+  const [responseTokens, setResponseTokens] = React.useState([]);
+  const [toolSteps, setToolSteps] = React.useState([]);
+  const [clientSettings, setClientSettings] = React.useState(() => window.PollinationsConfig.getClientSettings());
+  const [contextSettings, setContextSettings] = React.useState({
+    strategy: window.PollinationsConstants.CONTEXT.DEFAULT_STRATEGY,
+    maxMessages: window.PollinationsConfig.getConfig().MAX_HISTORY_LENGTH,
+    summaryModel: window.PollinationsConstants.CONTEXT.SUMMARY_MODEL
+  });
 
   // Custom hooks
   const { models, model, setModel, lastSelectedModels, setLastSelectedModels, getFilteredModels } =
-    window.PollinationsHooks.useModelSelection({ activeTab, apiKey, voiceToAudio, setVoiceToAudio });
+    window.PollinationsHooks.useModelSelection({ activeTab, apiKey, baseUrl: clientSettings.baseUrl, voiceToAudio, setVoiceToAudio });
+
+  const { parameters, setParameter, resetParameters, replaceParameters } =
+    window.PollinationsHooks.useSamplingParameters(activeTab);
+
+  const { usageLog, totalUsage, totalCost, totalSavings, recordUsage, resetUsage } =
+    window.PollinationsHooks.useUsageTracking();
+
+  // Settings saved with each conversation and restored when it is opened again
+  const conversationSettings = {
+    model,
+    systemPrompt,
+    parameters,
+    isStreaming,
+    enableTools,
+    reasoningOptions,
+    promptCaching,
+    systemPromptCache,
+    seed,
+    seedLocked,
+    contextSettings
+  };
 
-  const { enableMemory, chatHistory, setChatHistory, handleMemoryToggle } =
-    window.PollinationsHooks.useChatHistory();
-  const outputText = React.useRef('');
+  const restoreSettings = (saved) => {
+    if (saved.model) setModel(saved.model);
+    if (typeof saved.systemPrompt === 'string') setSystemPrompt(saved.systemPrompt);
+    replaceParameters(saved.parameters || {});
+    if (typeof saved.isStreaming === 'boolean') setIsStreaming(saved.isStreaming);
+    if (typeof saved.enableTools === 'boolean') setEnableTools(saved.enableTools);
+    if (saved.reasoningOptions) setReasoningOptions(saved.reasoningOptions);
+    if (typeof saved.promptCaching === 'boolean') setPromptCaching(saved.promptCaching);
+    setSystemPromptCache(saved.systemPromptCache);
+    setSeed(saved.seed !== undefined ? saved.seed : null);
+    setSeedLocked(Boolean(saved.seedLocked));
+    if (saved.contextSettings) setContextSettings(saved.contextSettings);
+    setResult('');
+    setStreamedResult('');
+    resetUsage();
+  };
 
-  let combinedLine = '';
+  const {
+    enableMemory,
+    chatHistory,
+    setChatHistory,
+    handleMemoryToggle,
+    addTurn,
+    switchBranch,
+    conversations,
+    activeConversationId,
+    createConversation,
+    switchConversation,
+    renameConversation,
+    togglePin,
+    deleteConversation,
+    loadConversations,
+    importConversations,
+    storageWarning,
+    storageEstimate
+  } = window.PollinationsHooks.useChatHistory({ settings: conversationSettings, onRestoreSettings: restoreSettings });
+  const outputText = React.useRef('');
 
   const audioContextRef = React.useRef(null);
   const workletNodeRef = React.useRef(null);
+  const abortControllerRef = React.useRef(null);
+  // Seed for the next request only, set by rerunWithSeed without touching the seed lock
+  const rerunSeedRef = React.useRef(null);
 
   // Audio worklet functions from module
   const restartAudioWorklet = () => window.PollinationsAudioWorklet.restartAudioWorklet(audioContextRef, workletNodeRef);
@@ -178,18 +272,219 @@ const App = () => {
   };
 
   const sendRequest = () => {
-    generateAudio();
+    if (activeTab === 'text' && simpleMode) {
+      generateSimpleText();
+    } else {
+      generateAudio();
+    }
   };
 
+  // Prompt cache override for one chat history entry (undefined goes back to automatic)
+  const setHistoryCache = (index, value) => {
+    setChatHistory(prev => prev.map((entry, i) => {
+      if (i !== index) return entry;
+      const { cache, ...rest } = entry;
+      return typeof value === 'boolean' ? { ...rest, cache: value } : rest;
+    }));
+  };
+
+  /**
+   * Download the open conversation, or all saved ones
+   * @param {string} format - 'json', 'markdown' or 'jsonl'
+   * @param {string} scope - 'current' or 'all'
+   * @returns {Promise<string>} Status message
+   */
+  const exportConversations = async (format, scope) => {
+    try {
+      const records = await loadConversations(scope === 'all' ? undefined : [activeConversationId]);
+      if (records.length === 0) {
+        return 'Nothing to export yet: conversations are saved once Chat Memory is on and a message is sent.';
+      }
+      const { content, filename, mimeType } = window.PollinationsTransfer.createExportFile(records, format);
+      window.PollinationsHelpers.downloadFile(content, filename, mimeType);
+      return `Exported ${records.length} conversation(s) to ${filename}.`;
+    } catch (error) {
+      console.error('Failed to export conversations:', error);
+      return `⚠️ Export failed: ${error.message}`;
+    }
+  };
+
+  /**
+   * Add the conversations in an exported file, skipping ones that are already saved
+   * @param {File} file - JSON or JSONL file
+   * @returns {Promise<string>} Status message
+   */
+  const importConversationFile = async (file) => {
+    const Transfer = window.PollinationsTransfer;
+    try {
+      const { conversations: imported, errors } = Transfer.parseImport(await file.text());
+      const { added, duplicates } = Transfer.mergeConversations(await loadConversations(), imported);
+      const result = await importConversations(added);
+      const summary = `Imported ${result.saved} conversation(s)${duplicates > 0 ? `, skipped ${duplicates} already saved` : ''}.`;
+      return [summary, ...errors, ...result.errors].join('\n⚠️ ');
+    } catch (error) {
+      console.error('Failed to import conversations:', error);
+      return `⚠️ ${error.message}`;
+    }
+  };
+
+  // Always send a chat history entry with the 'pinned' context strategy
+  const setHistoryPinned = (index, pinned) => {
+    setChatHistory(prev => prev.map((entry, i) => {
+      if (i !== index) return entry;
+      const { pinned: previous, ...rest } = entry;
+      return pinned ? { ...rest, pinned: true } : rest;
+    }));
+  };
+
+  /**
+   * Which history fits the current model's context window with the chosen strategy
+   * @param {Array<Object>} history - Chat history to send
+   * @param {Object} newMessage - Message about to be sent
+   * @returns {Object} Plan from PollinationsContext.planContext
+   */
+  const planRequestContext = (history, newMessage) => window.PollinationsContext.planContext({
+    history,
+    systemPrompt,
+    newMessage,
+    model: models.find(m => m.name === model) || model,
+    maxTokens: parameters.max_tokens || window.PollinationsConstants.SAMPLING_PARAMETERS.max_tokens.default,
+    strategy: contextSettings.strategy,
+    maxMessages: contextSettings.maxMessages
+  });
+
+  /**
+   * Summary of the history before `cut`, for the 'summarize' context strategy
+   * Each summary is stored on the last entry it covers, so later requests only summarize newer turns.
+   * @param {Array<Object>} history - Chat history being sent
+   * @param {number} cut - Entries before this index are summarized
+   * @param {AbortSignal} signal - Stop signal of the request
+   * @returns {Promise<string>} Summary
+   */
+  const summarizeHistory = async (history, cut, signal) => {
+    let start = cut;
+    while (start > 0 && !history[start - 1].contextSummary) start--;
+    const previousSummary = start > 0 ? history[start - 1].contextSummary : '';
+    if (start === cut) return previousSummary;
+
+    setRetryStatus('Summarizing older messages to fit the context window...');
+    const summaryModel = contextSettings.summaryModel;
+    const { summary, usage } = await window.PollinationsAPI.summarizeConversation({
+      apiKey,
+      model: summaryModel,
+      messages: history.slice(start, cut).map(window.PollinationsAPI.toApiMessage),
+      previousSummary,
+      signal,
+      onRetry: handleRetry
+    });
+    setRetryStatus('');
+
+    if (usage) {
+      const summaryModelInfo = models.find(m => m.name === summaryModel);
+      recordUsage(summaryModel, [usage], summaryModelInfo && summaryModelInfo.pricing);
+    }
+    setChatHistory(prev => prev.map((entry, i) => (
+      i === cut - 1 && entry === history[i] ? { ...entry, contextSummary: summary } : entry
+    )));
+    return summary;
+  };
+
+  // Seed for the next request: a re-run's, the locked one, or a new random seed that is shown in the UI
+  const takeSeed = () => {
+    const rerunSeed = rerunSeedRef.current;
+    rerunSeedRef.current = null;
+    const requestSeed = rerunSeed !== null ? rerunSeed
+      : seedLocked && seed !== null ? seed : window.PollinationsHelpers.generateSeed();
+    setSeed(requestSeed);
+    return requestSeed;
+  };
+
+  /**
+   * Repeat a recorded request on its tab with the same prompt, model, system prompt, parameters and seed
+   * The seed is used for that one request; the seed lock stays as it was.
+   * @param {Object} request - Request recorded with a response { tab, prompt, model, systemPrompt, parameters, seed }
+   */
+  const rerunWithSeed = (request) => {
+    setActiveTab(request.tab);
+    setPrompt(request.prompt);
+    setModel(request.model);
+    setSystemPrompt(request.systemPrompt);
+    replaceParameters(request.parameters || {}, request.tab);
+    setRerunPending(request);
+  };
+
+  // Send the re-run once the restored state has rendered
+  React.useEffect(() => {
+    if (rerunPending) {
+      rerunSeedRef.current = rerunPending.seed;
+      setRerunPending(null);
+      sendRequest();
+    }
+  }, [rerunPending]);
+
+  /**
+   * Send a user turn again as a new version, after editing it or to regenerate its answer
+   * The version it replaces stays available as a branch.
+   * @param {number} index - Index of the user turn in the chat history
+   * @param {string|Array<Object>} content - Content to send, with the turn's images and audio
+   * @param {string} [turnModel] - Model to answer with, if it should change
+   */
+  const resendTurn = (index, content, turnModel) => {
+    setPrompt(window.PollinationsBranches.getContentText(content));
+    if (turnModel) setModel(turnModel);
+    setPendingTurn({ branchAt: index, content });
+  };
+
+  // Send an edited or regenerated turn once the chosen model and prompt have rendered
+  React.useEffect(() => {
+    if (pendingTurn) {
+      setPendingTurn(null);
+      generateAudio(pendingTurn);
+    }
+  }, [pendingTurn]);
+
   const handleSendTextOnlyAudioRequest = () => {
     window.recordedAudioBase64 = null;
     generateAudio();
   }
 
+  // Start a cancellable request, returning the signal to pass to the API service
+  const beginRequest = () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setRetryStatus('');
+    return controller.signal;
+  };
+
+  // Surface automatic retries of rate-limited or failed requests
+  const handleRetry = ({ attempt, delay, error }) => {
+    const maxRetries = window.PollinationsConstants.API.RETRY.MAX_RETRIES;
+    setRetryStatus(`${error.message} — retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt}/${maxRetries})`);
+  };
+
+  // Show sampling parameters and thinking settings the model didn't accept in the parameters panel
+  const handleWarning = (warning) => {
+    if (warning.type === 'parameters_dropped') {
+      setDroppedParameters(prev => ({
+        model: warning.model,
+        parameters: [...(prev ? prev.parameters : []), ...warning.parameters]
+      }));
+    }
+  };
+
+  // Stop button: cancel the in-flight request and silence streamed audio
+  const stopGeneration = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    window.PollinationsAudioWorklet.abortAudioWorklet(workletNodeRef);
+  };
+
   const generateTTS = async () => {
     setLoading(true);
     setAudioURL(null);
     setResult('');
+    const signal = beginRequest();
 
     try {
       // Use refactored API service
@@ -199,29 +494,139 @@ const App = () => {
         input: prompt,
         voice: voiceOption,
         responseFormat: ttsFormat,
-        speed: ttsSpeed
+        speed: ttsSpeed,
+        signal,
+        onRetry: handleRetry
       });
       const audioUrl = URL.createObjectURL(audioBlob);
       setAudioURL(audioUrl);
+      addAudioClip({
+        kind: 'speech',
+        text: prompt,
+        details: `${ttsModel} · ${voiceOption} · ${ttsFormat} · ${ttsSpeed}x`,
+        format: ttsFormat,
+        blob: audioBlob,
+        url: audioUrl
+      });
       setResult(`✅ Audio generated successfully! Format: ${ttsFormat}, Voice: ${voiceOption}, Speed: ${ttsSpeed}x`);
     } catch (error) {
-      console.error('Error generating TTS:', error);
-      setResult('Error generating audio: ' + error.message);
+      if (window.PollinationsAPI.isAbortError(error)) {
+        setResult('⏹ Speech generation stopped.');
+      } else {
+        console.error('Error generating TTS:', error);
+        setResult('⚠️ ' + window.PollinationsHelpers.formatApiError(error));
+      }
     }
+    abortControllerRef.current = null;
+    setRetryStatus('');
     setLoading(false);
   };
 
-  const combinedChunk = (chunk) => {
-    let completedSSE = '';
-    combinedLine = combinedLine + chunk;
-    while (combinedLine.length > 0 && combinedLine.indexOf("\n\n") > 0) { // SSE end
-      const index = combinedLine.indexOf("\n\n");
-      completedSSE = completedSSE + combinedLine.slice(0, index) + '\n';
-      combinedLine = combinedLine.slice(index + 2);
-      continue;
+  // Quick prompt: one GET /text/{prompt} request, reproducible from its URL
+  const generateSimpleText = async () => {
+    const params = {
+      model,
+      system: systemPrompt,
+      seed: takeSeed()
+    };
+    setLastRequest({ tab: activeTab, prompt, model, systemPrompt, parameters: {}, seed: params.seed });
+    setSimpleRequestUrl(window.PollinationsAPI.buildTextUrl(prompt, params));
+    setUrlCopied(false);
+    setOutput('');
+    setReasoningText('');
+    setResponseImages([]);
+    setResponseCitations([]);
+    setResponseTokens([]);
+    setToolSteps([]);
+    setStructuredResult(null);
+    setLoading(true);
+    const signal = beginRequest();
+
+    try {
+      const text = await window.PollinationsAPI.generateSimpleText({
+        apiKey,
+        prompt,
+        ...params,
+        signal,
+        onRetry: handleRetry
+      });
+      setOutput(text);
+    } catch (error) {
+      if (window.PollinationsAPI.isAbortError(error)) {
+        setOutput('⏹ Generation stopped.');
+      } else {
+        console.error('Error generating simple text:', error);
+        setOutput('⚠️ ' + window.PollinationsHelpers.formatApiError(error));
+      }
     }
-    return completedSSE;
-  }
+    abortControllerRef.current = null;
+    setRetryStatus('');
+    setLoading(false);
+  };
+
+  const copySimpleRequestUrl = async () => {
+    setUrlCopied(await window.PollinationsHelpers.copyToClipboard(simpleRequestUrl));
+  };
+
+  const generateMusic = async () => {
+    setLoading(true);
+    setAudioURL(null);
+    setResult('');
+    const signal = beginRequest();
+    const params = {
+      model: musicModel,
+      duration: musicDuration,
+      instrumental: musicInstrumental
+    };
+
+    try {
+      const audioBlob = await window.PollinationsAPI.generateAudioFromText({
+        apiKey,
+        text: prompt,
+        params,
+        signal,
+        onRetry: handleRetry
+      });
+      const audioUrl = URL.createObjectURL(audioBlob);
+      setAudioURL(audioUrl);
+      addAudioClip({
+        kind: 'music',
+        text: prompt,
+        details: `${musicModel} · ${musicDuration}s${musicInstrumental ? ' · instrumental' : ''}`,
+        format: window.PollinationsHelpers.getAudioFormat(audioBlob.type),
+        blob: audioBlob,
+        url: audioUrl
+      });
+      setResult(`✅ Music generated successfully! Duration: ${musicDuration}s${musicInstrumental ? ', instrumental' : ''}`);
+    } catch (error) {
+      if (window.PollinationsAPI.isAbortError(error)) {
+        setResult('⏹ Music generation stopped.');
+      } else {
+        console.error('Error generating music:', error);
+        setResult('⚠️ ' + window.PollinationsHelpers.formatApiError(error));
+      }
+    }
+    abortControllerRef.current = null;
+    setRetryStatus('');
+    setLoading(false);
+  };
+
+  // Generated clips own their object URLs; they are released when removed
+  const addAudioClip = (clip) => {
+    setAudioClips(prev => [{ ...clip, id: Date.now() }, ...prev]);
+  };
+
+  const removeAudioClip = (clip) => {
+    URL.revokeObjectURL(clip.url);
+    if (clip.url === audioURL) setAudioURL(null);
+    setAudioClips(prev => prev.filter(entry => entry.id !== clip.id));
+  };
+
+  const clearAudioClips = () => {
+    audioClips.forEach(clip => URL.revokeObjectURL(clip.url));
+    if (audioClips.some(clip => clip.url === audioURL)) setAudioURL(null);
+    setAudioClips([]);
+  };
 
   const handleImageUpload = (event) => {
     const files = event.target.files;
@@ -268,20 +673,71 @@ const App = () => {
     setUploadedImages(prev => prev.filter(img => img.id !== id));
   };
 
-  const generateAudio = async () => {
+  const handleSendToVision = (dataUrl, name) => {
+    setUploadedImages(prev => [...prev, {
+      id: Date.now(),
+      name,
+      dataUrl
+    }]);
+    setActiveTab('vision');
+  };
 
-    const seed = Math.floor(Math.random() * 65535);
+  /**
+   * Send a chat completion request
+   * @param {Object} [turn] - Set when resending an earlier turn
+   * @param {string|Array<Object>} [turn.content] - User content to send instead of the prompt and uploads
+   * @param {number} [turn.branchAt] - Index of the user turn being replaced; history after it isn't sent
+   */
+  const generateAudio = async (turn = {}) => {
+
+    // Structured output: parse the schema up front so a typo doesn't cost a request
+    let schema = null;
+    if (structuredMode && schemaText.trim()) {
+      try {
+        schema = JSON.parse(schemaText);
+      } catch (error) {
+        setOutput('⚠️ Invalid JSON Schema: ' + error.message);
+        return;
+      }
+    }
+    const JSONSchema = window.PollinationsJSONSchema;
+    setStructuredResult(structuredMode ? { value: undefined, errors: [], parseError: null, complete: false } : null);
 
     // Determine if there is audio input
     const inputAudio = useAudioInput && window.recordedAudioBase64 != null && (activeTab === 'speech');
     const outputAudio = voiceToAudio;
 
     setOutput('');
+    setReasoningText('');
+    setDroppedParameters(null);
+    setResponseImages([]);
+    setResponseCitations([]);
+    setResponseTokens([]);
+    setToolSteps([]);
     setLoading(true);
     setAudioChunks([]);
     if (outputAudio) {
         setAudioURL(null);
     }
+    const signal = beginRequest();
+    let localAudioChunks = [];
+    let responseUsage = [];
+    let responseReasoning = '';
+    let imagesReceived = [];
+    let citationsReceived = [];
+    let assistantAudio = null;
+    // Tool calls for display, and the assistant/tool messages of finished rounds for chat memory
+    let stepsReceived = [];
+    let toolMessages = [];
+    let toolRound = [];
+    // Prompt, model, parameters and seed, recorded once the request goes out
+    let request = null;
+    // Errors, and requests stopped before any text came back, aren't saved to chat memory
+    let keepTurn = true;
+    let requestSystemPrompt = systemPrompt;
+    // What the user sent, for chat memory: text-only prompts stay plain strings
+    let sentContent = prompt;
+    const currentModelInfo = models.find(m => m.name === model);
 
     try {
       // Create messages with history if memory is enabled
@@ -328,29 +784,76 @@ const App = () => {
         role: "user",
         content: content
       }
-      if (enableMemory && chatHistory.length > 0) {
-        messages = [...chatHistory, newMessage];
+      // Edited and regenerated turns resend their own images and audio
+      if (turn.content !== undefined) {
+        newMessage.content = turn.content;
+        sentContent = turn.content;
+      } else if (content.length > 1) {
+        sentContent = content;
+      }
+      const history = turn.branchAt === undefined ? chatHistory : chatHistory.slice(0, turn.branchAt);
+      if (enableMemory && history.length > 0) {
+        // Trim the history to the model's context window, summarizing older turns if asked to
+        const plan = planRequestContext(history, newMessage);
+        if (contextSettings.strategy === 'summarize' && plan.cut > 0) {
+          try {
+            const summary = await summarizeHistory(history, plan.cut, signal);
+            if (summary) {
+              requestSystemPrompt = `${systemPrompt}\n\nSummary of the earlier conversation:\n${summary}`;
+            }
+          } catch (error) {
+            if (window.PollinationsAPI.isAbortError(error)) throw error;
+            console.warn('Summarizing older messages failed, sending recent messages only:', error);
+            setRetryStatus('');
+          }
+        }
+        messages = [...plan.messages.map(window.PollinationsAPI.toApiMessage), newMessage];
       } else {
         messages = [newMessage];
       }
 
       // Determine modalities based on the model's capabilities from API
-      const currentModelInfo = models.find(m => m.name === model);
       const modelOutputModalities = currentModelInfo && currentModelInfo.output_modalities
         ? currentModelInfo.output_modalities
         : ['text'];
       const modelRequiresAudio = modelOutputModalities.includes('audio');
 
+      const requestSeed = takeSeed();
+      request = { tab: activeTab, prompt, model, systemPrompt, parameters, seed: requestSeed };
+      setLastRequest(request);
+
       // Build completion options
       const completionOptions = {
         apiKey,
         model,
         messages,
-        systemPrompt,
+        systemPrompt: requestSystemPrompt,
         stream: isStreaming,
-        seed
+        seed: requestSeed,
+        signal,
+        onRetry: handleRetry,
+        onWarning: handleWarning,
+        parameters,
+        modelInfo: currentModelInfo,
+        promptCaching,
+        systemPromptCache
       };
 
+      // Reasoning controls only apply to models that report reasoning support
+      if (currentModelInfo && currentModelInfo.reasoning) {
+        completionOptions.reasoningEffort = reasoningOptions.effort || undefined;
+        completionOptions.thinkingBudget = reasoningOptions.thinking ? reasoningOptions.budget : undefined;
+      }
+
+      if (structuredMode) {
+        completionOptions.responseFormat = JSONSchema.buildResponseFormat(schema);
+      }
+
+      if (showLogprobs) {
+        completionOptions.logprobs = true;
+        completionOptions.topLogprobs = topLogprobs;
+      }
+
       // If the model supports audio output or user requests audio output,
       // set modalities accordingly
       if (modelRequiresAudio || outputAudio) {
@@ -361,157 +864,114 @@ const App = () => {
         };
       }
 
-      // Use refactored API service
-      const response = await window.PollinationsAPI.generateCompletion(completionOptions);
-
-
-
       if (outputAudio) {
         await restartAudioWorklet();
       }
 
-      combinedLine = '';
-      let localAudioChunks = [];
-      // Read the stream
-      const useStreaming = isStreaming;
-      if (!useStreaming) {
-        if (outputAudio) {
-          const reader = response.body.getReader();
-          const decoder = new TextDecoder();
-
-          let totalBuffer = [];
-          while (true) {
-            const {
-              done,
-              value
-            } = await reader.read();
-
-            if (!value) break;
-            if (done) break;
-            // append audio bytes
-            totalBuffer = [...totalBuffer, ...value];
+      // Use refactored API service: iterate normalized completion events.
+      // With tools enabled, the tool loop runs calls locally and feeds results back.
+      const events = enableTools
+        ? window.PollinationsAPI.runToolLoop({
+          ...completionOptions,
+          toolRegistry: window.PollinationsTools.toolRegistry
+        })
+        : window.PollinationsAPI.streamCompletion(completionOptions);
+      while (true) {
+        const { done, value: event } = await events.next();
+        if (done) break;
+
+        switch (event.type) {
+          case 'text':
+            appendOutput(event.text);
+            if (structuredMode) {
+              setStructuredResult({ value: JSONSchema.parsePartialJSON(getOutput()), errors: [], parseError: null, complete: false });
+            }
+            break;
+          case 'reasoning':
+            // Shown in the Thinking pane, never in the answer sent back to the model
+            responseReasoning += event.text;
+            setReasoningText(prev => prev + event.text);
+            break;
+          case 'image':
+            // e.g. a plot from Gemini code execution
+            imagesReceived = [...imagesReceived, event.url];
+            setResponseImages(imagesReceived);
+            break;
+          case 'logprobs':
+            setResponseTokens(prev => [...prev, ...event.tokens]);
+            break;
+          case 'citations': {
+            // Search models may repeat their sources in every chunk
+            const known = citationsReceived.map(citation => citation.url);
+            const added = event.citations.filter(citation => !known.includes(citation.url));
+            if (added.length > 0) {
+              citationsReceived = [...citationsReceived, ...added];
+              setResponseCitations(citationsReceived);
+            }
+            break;
           }
-
-          const audioBytes = new Uint8Array(totalBuffer);
-
-          // Add to audio chunks
-          setAudioChunks(prevChunks => [...prevChunks, audioBytes]);
-          localAudioChunks = [...localAudioChunks, audioBytes];
-
-          // Send to AudioWorklet for real-time playback
-          const floatData = convertPCM16ToFloat32(audioBytes, 24000);
-          enqueueAudioData(workletNodeRef.current, floatData);
-        } else {
-          const rawData = await response.text();
-          try {
-            const parsedData = JSON.parse(rawData);
-            if (parsedData.choices && parsedData.choices[0] && parsedData.choices[0].message) {
-              // Check for reasoning_content if content is null
-              setOutput(parsedData.choices[0].message.content || parsedData.choices[0].message.reasoning_content);
-            } else {
-              setOutput(JSON.stringify(parsedData, null, 2)); // Fallback to raw JSON if structure is unexpected
+          case 'transcript':
+            appendOutput(event.text);
+            break;
+          case 'audio':
+            // Add to audio chunks
+            setAudioChunks(prevChunks => [...prevChunks, event.data]);
+            localAudioChunks = [...localAudioChunks, event.data];
+
+            // Send to AudioWorklet for real-time playback
+            enqueueAudioData(workletNodeRef.current, convertPCM16ToFloat32(event.data, 24000));
+            break;
+          case 'legacy_audio': {
+            // Handle legacy format for backward compatibility
+            const audioData = `data:audio/mp3;base64,${event.base64}`;
+            appendOutput(`<audio controls src="${audioData}"></audio>`);
+            setAudioURL(audioData);
+            assistantAudio = audioData;
+            break;
+          }
+          case 'tool_calls':
+            // Text streamed before the calls is part of the call message, not the answer
+            toolRound = [event.message];
+            stepsReceived = [
+              ...stepsReceived,
+              ...event.calls.map(call => ({ round: event.step, name: call.name, arguments: call.arguments, done: false }))
+            ];
+            setToolSteps(stepsReceived);
+            setOutput('');
+            break;
+          case 'tool_result': {
+            const position = stepsReceived.findIndex(step => step.round === event.step && !step.done);
+            stepsReceived = stepsReceived.map((step, i) => (
+              i === position ? { ...step, content: event.content, error: event.error, done: true } : step
+            ));
+            setToolSteps(stepsReceived);
+            // Only complete rounds go into chat memory: every call needs its result
+            toolRound = [...toolRound, event.message];
+            if (toolRound.length > toolRound[0].tool_calls.length) {
+              toolMessages = [...toolMessages, ...toolRound];
+              toolRound = [];
             }
-          } catch (jsonError) {
-            // If not JSON, use the raw text
-            setOutput(rawData);
+            break;
           }
+          case 'usage':
+            responseUsage = [...responseUsage, event.usage];
+            break;
+          default:
+            break;
         }
-      } else {
-        // Streaming
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        while (true) {
-          const {
-            done,
-            value
-          } = await reader.read();
-          if (done) break;
-
-          const chunk = decoder.decode(value, {
-            stream: isStreaming
-          });
-
-
-          // Combine chunks
-          let completedSSE = combinedChunk(chunk);
-
-
-
-          // Process SSE format
-          const lines = completedSSE.split("\n").filter(line => line.startsWith("data: "));
-
-          for (const line of lines) {
-            try {
-              const jsonString = line.replace("data: ", "").trim();
-
-
-              if (jsonString === "[DONE]") continue;
-
-              const parsedChunk = JSON.parse(jsonString);
-
-
-              if (parsedChunk && parsedChunk.choices && parsedChunk.choices[0] && parsedChunk.choices[0].delta && parsedChunk.choices[0].delta.audio) {
-
-                // Handle audio data from delta format
-                const audioData = parsedChunk.choices[0].delta.audio.data;
-                if (audioData) {
-                  // Decode base64 audio chunk
-                  const binaryData = atob(audioData);
-                  const arrayBuffer = new ArrayBuffer(binaryData.length);
-                  const audioBytes = new Uint8Array(arrayBuffer);
-                  for (let i = 0; i < binaryData.length; i++) {
-                    audioBytes[i] = binaryData.charCodeAt(i);
-                  }
-
-                  // Add to audio chunks
-                  setAudioChunks(prevChunks => [...prevChunks, audioBytes]);
-                  localAudioChunks = [...localAudioChunks, audioBytes];
-
-                  // Send to AudioWorklet for real-time playback
-                  const floatData = convertPCM16ToFloat32(audioBytes, 24000);
-                  enqueueAudioData(workletNodeRef.current, floatData);
-                }
-
-                // Update text result if transcript is available
-                if (parsedChunk.choices[0].delta.audio.transcript) {
-                  appendOutput(parsedChunk.choices[0].delta.audio.transcript);
-                }
-              } else if (parsedChunk && parsedChunk.choices && parsedChunk.choices[0] && parsedChunk.choices[0].delta) {
-                // Also check for reasoning_content if content is null
-                const content = parsedChunk.choices[0].delta.content || parsedChunk.choices[0].delta.reasoning_content || "";
-                if (content) {
-                  appendOutput(content);
-                }
-              } else if (parsedChunk && parsedChunk.audio) {
-                // Handle legacy format for backward compatibility
-                const audioData = `data:audio/mp3;base64,${parsedChunk.audio}`;
-                appendOutput(`<audio controls src="${audioData}"></audio>`);
-                setAudioURL(audioData);
-
-                // Update text result if available
-                if (parsedChunk.text) {
-                  appendOutput(parsedChunk.text);
-                }
-              }
-            } catch (error) {
-              console.error("JSON parsing error:", error);
+      }
 
-            }
-          }
-        } // end while
+      // Validate the final structured output against the schema
+      if (structuredMode) {
+        setStructuredResult({ ...JSONSchema.parseStructuredOutput(getOutput(), schema), complete: true });
       }
+
       // Combine audio chunks into WAV file for download/playback
-      if (outputAudio && localAudioChunks.length > 0) {
-        let combinedChunks = new Uint8Array(localAudioChunks.reduce((acc, chunk) => acc + chunk.length, 0));
-        let offset = 0;
-        for (const chunk of localAudioChunks) {
-          combinedChunks.set(chunk, offset);
-          offset += chunk.length;
+      if (outputAudio) {
+        const audioBlob = saveAudioChunks(localAudioChunks);
+        if (audioBlob && enableMemory) {
+          assistantAudio = await window.PollinationsHelpers.blobToDataURL(audioBlob);
         }
-
-        const wavData = bufferToWav(combinedChunks);
-        const audioBlob = new Blob([wavData], { type: 'audio/wav' });
-        setAudioURL(URL.createObjectURL(audioBlob));
       }
 
       // Stop AudioWorklet playback
@@ -519,25 +979,74 @@ const App = () => {
         window.PollinationsAudioWorklet.stopAudioWorklet(workletNodeRef);
       }
     } catch (error) {
-      console.error('Error generating audio:', error);
-      setOutput('Error generating audio: ' + error.message);
+      if (window.PollinationsAPI.isAbortError(error)) {
+        // Keep whatever already streamed in, including partial audio
+        if (outputAudio) {
+          const audioBlob = saveAudioChunks(localAudioChunks);
+          if (audioBlob && enableMemory) {
+            assistantAudio = await window.PollinationsHelpers.blobToDataURL(audioBlob);
+          }
+        }
+        if (structuredMode) {
+          setStructuredResult({ ...JSONSchema.parseStructuredOutput(getOutput(), schema), complete: true });
+        }
+        if (!getOutput()) {
+          keepTurn = false;
+          setOutput('⏹ Generation stopped.');
+        }
+      } else {
+        keepTurn = false;
+        setStructuredResult(null);
+        console.error('Error generating audio:', error);
+        setOutput('⚠️ ' + window.PollinationsHelpers.formatApiError(error));
+      }
     }
+    abortControllerRef.current = null;
+    setRetryStatus('');
     setLoading(false);
 
+    // Record token usage and cost (tool loops report usage once per round)
+    if (responseUsage.length > 0) {
+      recordUsage(model, responseUsage, currentModelInfo && currentModelInfo.pricing);
+    }
+
     // Save to chat history if memory is enabled
-    if (enableMemory) {
-      setChatHistory(prev => [
-        ...prev, {
-          role: 'user',
-          content: prompt
-        }, {
-          role: 'assistant',
-          content: getOutput()
-        }
-      ]);
+    if (enableMemory && keepTurn) {
+      // Images, sources, thinking and spoken audio are kept for display; toApiMessage drops them
+      // when sending. For audio answers the content is the transcript.
+      const assistantEntry = {
+        role: 'assistant',
+        content: getOutput()
+      };
+      if (request) assistantEntry.request = request;
+      if (imagesReceived.length > 0) assistantEntry.images = imagesReceived;
+      if (citationsReceived.length > 0) assistantEntry.citations = citationsReceived;
+      if (responseReasoning) assistantEntry.reasoning = responseReasoning;
+      if (assistantAudio) assistantEntry.audio = assistantAudio;
+      if (stepsReceived.length > 0) assistantEntry.steps = stepsReceived;
+
+      // The user entry keeps the images and recorded audio that were sent, so follow-ups can refer to them.
+      // Tool call and result messages go in between, as the model saw them.
+      addTurn([{ role: 'user', content: sentContent }, ...toolMessages, assistantEntry], turn.branchAt);
     }
   };
 
+  const saveAudioChunks = (chunks) => {
+    if (chunks.length === 0) return;
+
+    let combinedChunks = new Uint8Array(chunks.reduce((acc, chunk) => acc + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+      combinedChunks.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    const wavData = bufferToWav(combinedChunks);
+    const audioBlob = new Blob([wavData], { type: 'audio/wav' });
+    setAudioURL(URL.createObjectURL(audioBlob));
+    return audioBlob;
+  }
+
   const setOutput = (msg) => {
     outputText.current = msg;
     if (isStreaming)
@@ -556,6 +1065,11 @@ const App = () => {
     return outputText.current;
   }
 
+  // Context used by the next chat request, for the meter in Chat History
+  const contextPlan = enableMemory && !simpleMode
+    ? planRequestContext(chatHistory, { role: 'user', content: prompt })
+    : null;
+
   return (
     <div className="container mx-auto p-6" onPaste={handleImagePaste}>
       <h1 className="text-3xl font-bold mb-6 text-center">Pollinations AI API (New gen.pollinations.ai)</h1>
@@ -588,305 +1102,60 @@ const App = () => {
         >
           Speech-to-Text
         </button>
+        <button
+          className={`px-4 py-2 mx-2 ${activeTab === 'image' ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+          onClick={() => setActiveTab('image')}
+        >
+          Image
+        </button>
+        <button
+          className={`px-4 py-2 mx-2 ${activeTab === 'account' ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+          onClick={() => setActiveTab('account')}
+        >
+          Account
+        </button>
       </div>
 
       <div className="bg-white shadow-md rounded px-8 pt-6 pb-8 mb-4">
 
-        <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded">
-          <label className="block text-gray-700 text-sm font-bold mb-2">
-            API Key (Optional)
-          </label>
-          <input
-            type="password"
-            value={apiKey}
-            onChange={(e) => setApiKey(e.target.value)}
-            placeholder="Enter your Pollinations API key (get it at enter.pollinations.ai)"
-            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-          />
-          <p className="text-sm text-gray-600 mt-2">
-            ℹ️ Anonymous requests still work, but an API key gives you better performance and access to all models.
-            Get your key at <a href="https://enter.pollinations.ai" target="_blank" className="text-blue-600 underline">enter.pollinations.ai</a>
-          </p>
-        </div>
+        <ApiKeyInput apiKey={apiKey} onChange={setApiKey} />
 
-        <div className="mb-4">
-          <label className="block text-gray-700 text-sm font-bold mb-2">
-            System Prompt
-          </label>
-          <input
-            type="text"
-            value={systemPrompt}
-            onChange={(e) => setSystemPrompt(e.target.value)}
-            placeholder="Enter system prompt"
-            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-          />
-        </div>
-
-        <div className="mb-4">
-          <label className="block text-gray-700 text-sm font-bold mb-2">
-            Prompt
-          </label>
-          <input
-            type="text"
-            value={prompt}
-            onChange={(e) => setPrompt(e.target.value)}
-            placeholder="Enter your prompt"
-            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-          />
-        </div>
-
-        <div className="mb-4">
-          <label className="block text-gray-700 text-sm font-bold mb-2">
-            Model
-          </label>
-          <select
-            value={model}
-            onChange={(e) => {
-              const newModelName = e.target.value;
-              const targetModel = models.find((modelOption) => modelOption.name === newModelName);
-              if (targetModel) {
-                setModel(targetModel.name);
-                setLastSelectedModels(prev => ({ ...prev, [activeTab]: targetModel.name }));
-              }
-            }}
-            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-            style={{
-              maxWidth: '100%',
-              textOverflow: 'ellipsis',
-              whiteSpace: 'nowrap',
-              overflow: 'hidden'
-            }}
-          >
-            {getFilteredModels().map((modelOption) => (
-              <option
-                key={modelOption.id}
-                value={modelOption.name}
-                title={modelOption.name}
-                className="text-base"
-              >
-                {modelOption.name + " - " + modelOption.description}
-              </option>
-            ))}
-          </select>
-        </div>
+        <ConnectionSettings settings={clientSettings} onChange={setClientSettings} />
 
-        <div className="mb-4 flex items-center">
-          <label className="mr-4">
-            <input
-              type="checkbox"
-              checked={isStreaming}
-              onChange={() => setIsStreaming(!isStreaming)}
-              className="mr-2"
-            />
-            Enable Streaming
-          </label>
-          <label className="mr-4">
-            <input
-              type="checkbox"
-              checked={enableMemory}
-              onChange={handleMemoryToggle}
-              className="mr-2"
-            />
-            Enable Chat Memory
-          </label>
-          <label className="mr-4">
-            <input
-              type="checkbox"
-              checked={showMarkdown}
-              onChange={() => setShowMarkdown(!showMarkdown)}
-              className="mr-2"
-            />
-            Render Markdown
-          </label>
-        </div>
-
-        <div className="mb-4 p-4 border rounded bg-gray-50">
-            <div className="flex items-center">
-                {(() => {
-                  const currentModel = models.find(m => m.name === model);
-                  const hasAudio = currentModel && currentModel.audio;
-                  return (
-                    <React.Fragment>
-                      <label className={`inline-flex items-center mr-4 ${!hasAudio ? 'opacity-50 cursor-not-allowed' : ''}`}>
-                          <input
-                          type="checkbox"
-                          checked={voiceToAudio}
-                          disabled={!hasAudio}
-                          onChange={() => setVoiceToAudio(!voiceToAudio)}
-                          className="mr-2"
-                          />
-                          <span>Generate audio response</span>
-                      </label>
-                      {voiceToAudio && hasAudio && (
-                    <div className="flex items-center">
-                        <label className="block text-gray-700 text-sm font-bold mr-2">
-                            Voice:
-                        </label>
-                        <select
-                            value={voiceOption}
-                            onChange={(e) => setVoiceOption(e.target.value)}
-                            className="shadow-sm appearance-none border rounded py-1 px-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                        >
-                            <option value="alloy">Alloy</option>
-                            <option value="echo">Echo</option>
-                            <option value="fable">Fable</option>
-                            <option value="onyx">Onyx</option>
-                            <option value="nova">Nova</option>
-                            <option value="shimmer">Shimmer</option>
-                            <option value="coral">Coral</option>
-                            <option value="verse">Verse</option>
-                            <option value="ballad">Ballad</option>
-                            <option value="ash">Ash</option>
-                            <option value="sage">Sage</option>
-                            <option value="amuch">Amuch</option>
-                            <option value="dan">Dan</option>
-                        </select>
-                    </div>
-                      )}
-                    </React.Fragment>
-                  );
-                })()}
-            </div>
-            {(() => {
-              const currentModel = models.find(m => m.name === model);
-              const hasAudio = currentModel && currentModel.audio;
-              return !hasAudio ? (
-                <p className="text-sm text-gray-600 mt-2 bg-blue-50 p-2 rounded">
-                  ℹ️ Audio output is only available with audio-capable models like <strong>openai-audio</strong>.
-                  Select an audio-capable model to enable this feature.
-                </p>
-              ) : null;
-            })()}
+        {/* Kept mounted so the gallery survives a trip to the Vision tab */}
+        <div className={activeTab === 'image' ? '' : 'hidden'}>
+          <ImageGenerator apiKey={apiKey} onSendToVision={handleSendToVision} />
         </div>
 
-        {activeTab === 'text' && (
-          <button
-            onClick={sendRequest}
-            disabled={loading}
-            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
-          >
-            {loading ? 'Generating...' : 'Generate'}
-          </button>
-        )}
-
-        {activeTab === 'vision' && (
-          <div>
-            <input
-              type="text"
-              placeholder="Image URL (optional)"
-              value={imageUrl}
-              onChange={(e) => setImageUrl(e.target.value)}
-              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-4"
-            />
-
+        {activeTab === 'account' ? (
+          <AccountDashboard apiKey={apiKey} />
+        ) : activeTab !== 'image' && (
+          <React.Fragment>
             <div className="mb-4">
               <label className="block text-gray-700 text-sm font-bold mb-2">
-                Upload Images
+                System Prompt
+                <CacheToggle value={systemPromptCache} onChange={setSystemPromptCache} disabled={!promptCaching} />
               </label>
               <input
-                type="file"
-                accept="image/*"
-                multiple
-                onChange={handleImageUpload}
-                className="block w-full text-gray-700 py-2"
-              />
-              <div className="mt-2 text-sm text-gray-600">
-                You can also paste images with Ctrl+V/Cmd+V
-              </div>
-            </div>
-
-            {uploadedImages.length > 0 && (
-              <div className="mb-4">
-                <div className="flex flex-wrap gap-2">
-                  {uploadedImages.map(img => (
-                    <div key={img.id} className="relative">
-                      <img
-                        src={img.dataUrl}
-                        alt={img.name}
-                        className="h-24 w-auto object-cover border rounded"
-                      />
-                      <button
-                        onClick={() => removeImage(img.id)}
-                        className="absolute top-0 right-0 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center"
-                      >
-                        ×
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
-
-            <button
-              onClick={sendRequest}
-              disabled={loading || (imageUrl === '' && uploadedImages.length === 0)}
-              className="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
-            >
-              {loading ? 'Analyzing...' : 'Analyze Images'}
-            </button>
-          </div>
-        )}
-
-        {activeTab === 'tts' && (
-          <div>
-            <div className="mb-4">
-              <label className="block text-gray-700 text-sm font-bold mb-2">
-                Voice
-              </label>
-              <select
-                value={voiceOption}
-                onChange={(e) => setVoiceOption(e.target.value)}
+                type="text"
+                value={systemPrompt}
+                onChange={(e) => setSystemPrompt(e.target.value)}
+                placeholder="Enter system prompt"
                 className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-              >
-                <option value="alloy">Alloy</option>
-                <option value="echo">Echo</option>
-                <option value="fable">Fable</option>
-                <option value="onyx">Onyx</option>
-                <option value="nova">Nova</option>
-                <option value="shimmer">Shimmer</option>
-                <option value="coral">Coral</option>
-                <option value="verse">Verse</option>
-                <option value="ballad">Ballad</option>
-                <option value="ash">Ash</option>
-                <option value="sage">Sage</option>
-              </select>
-            </div>
-
-            <div className="mb-4">
-              <label className="block text-gray-700 text-sm font-bold mb-2">
-                Audio Format
-              </label>
-              <select
-                value={ttsFormat}
-                onChange={(e) => setTtsFormat(e.target.value)}
-                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-              >
-                <option value="mp3">MP3</option>
-                <option value="wav">WAV</option>
-                <option value="opus">Opus</option>
-                <option value="aac">AAC</option>
-                <option value="flac">FLAC</option>
-                <option value="pcm">PCM</option>
-              </select>
+              />
             </div>
 
             <div className="mb-4">
               <label className="block text-gray-700 text-sm font-bold mb-2">
-                Speed: {ttsSpeed}x
+                Prompt
               </label>
               <input
-                type="range"
-                min="0.25"
-                max="4"
-                step="0.25"
-                value={ttsSpeed}
-                onChange={(e) => setTtsSpeed(parseFloat(e.target.value))}
-                className="w-full"
+                type="text"
+                value={prompt}
+                onChange={(e) => setPrompt(e.target.value)}
+                placeholder="Enter your prompt"
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
               />
-              <div className="flex justify-between text-xs text-gray-600">
-                <span>0.25x</span>
-                <span>4x</span>
-              </div>
             </div>
 
             <div className="mb-4">
@@ -894,213 +1163,829 @@ const App = () => {
                 Model
               </label>
               <select
-                value={ttsModel}
-                onChange={(e) => setTtsModel(e.target.value)}
+                value={model}
+                onChange={(e) => {
+                  const newModelName = e.target.value;
+                  const targetModel = models.find((modelOption) => modelOption.name === newModelName);
+                  if (targetModel) {
+                    setModel(targetModel.name);
+                    setLastSelectedModels(prev => ({ ...prev, [activeTab]: targetModel.name }));
+                  }
+                }}
                 className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                style={{
+                  maxWidth: '100%',
+                  textOverflow: 'ellipsis',
+                  whiteSpace: 'nowrap',
+                  overflow: 'hidden'
+                }}
               >
-                <option value="tts-1">TTS-1 (Standard)</option>
-                <option value="tts-1-hd">TTS-1 HD (High Quality)</option>
+                {getFilteredModels().map((modelOption) => (
+                  <option
+                    key={modelOption.id}
+                    value={modelOption.name}
+                    title={modelOption.name}
+                    className="text-base"
+                  >
+                    {modelOption.name + " - " + modelOption.description}
+                  </option>
+                ))}
               </select>
             </div>
 
-            <button
-              onClick={generateTTS}
-              disabled={loading || !prompt}
-              className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
-            >
-              {loading ? 'Generating Audio...' : 'Generate Speech'}
-            </button>
-          </div>
-        )}
+            <SeedControl
+              seed={seed}
+              locked={seedLocked}
+              onSeedChange={setSeed}
+              onLockedChange={setSeedLocked}
+            />
 
-        {(activeTab === 'audio' || activeTab === 'speech') && (
-          <div>
-            <div className="mb-4">
-              <label className="inline-flex items-center">
+            <AdvancedParameters
+              parameters={parameters}
+              setParameter={setParameter}
+              resetParameters={resetParameters}
+              modelInfo={models.find(m => m.name === model)}
+              droppedParameters={droppedParameters}
+            />
+
+            <ReasoningControls
+              options={reasoningOptions}
+              onChange={setReasoningOptions}
+              modelInfo={models.find(m => m.name === model)}
+            />
+
+            <StructuredOutputPanel
+              enabled={structuredMode}
+              onToggle={() => setStructuredMode(!structuredMode)}
+              schemaText={schemaText}
+              onSchemaTextChange={setSchemaText}
+            />
+
+            <div className="mb-4 flex items-center">
+              <label className="mr-4">
+                <input
+                  type="checkbox"
+                  checked={isStreaming}
+                  onChange={() => setIsStreaming(!isStreaming)}
+                  className="mr-2"
+                />
+                Enable Streaming
+              </label>
+              <label className="mr-4">
                 <input
                   type="checkbox"
-                  checked={useAudioInput}
-                  onChange={() => setUseAudioInput(!useAudioInput)}
+                  checked={enableMemory}
+                  onChange={handleMemoryToggle}
                   className="mr-2"
                 />
-                <span>Use audio input</span>
+                Enable Chat Memory
               </label>
+              <label className="mr-4" title="Mark the system prompt and earlier turns as cache breakpoints so long prefixes aren't billed at the full rate every turn">
+                <input
+                  type="checkbox"
+                  checked={promptCaching}
+                  onChange={() => setPromptCaching(!promptCaching)}
+                  className="mr-2"
+                />
+                Prompt Caching
+              </label>
+              <label className="mr-4">
+                <input
+                  type="checkbox"
+                  checked={showMarkdown}
+                  onChange={() => setShowMarkdown(!showMarkdown)}
+                  className="mr-2"
+                />
+                Render Markdown
+              </label>
+              <label className="mr-4" title={window.PollinationsTools.toolRegistry.list().map(tool => tool.name).join(', ')}>
+                <input
+                  type="checkbox"
+                  checked={enableTools}
+                  onChange={() => setEnableTools(!enableTools)}
+                  className="mr-2"
+                />
+                Enable Tools
+              </label>
+              <label className="mr-4" title="Request logprobs and color the answer by how confident the model was in each token">
+                <input
+                  type="checkbox"
+                  checked={showLogprobs}
+                  onChange={() => setShowLogprobs(!showLogprobs)}
+                  className="mr-2"
+                />
+                Show Token Probabilities
+              </label>
+              {showLogprobs && (
+                <label className="mr-4">
+                  Top
+                  <input
+                    type="number"
+                    min="0"
+                    max={window.PollinationsConstants.LOGPROBS.MAX_TOP}
+                    value={topLogprobs}
+                    onChange={(e) => setTopLogprobs(Math.min(window.PollinationsConstants.LOGPROBS.MAX_TOP, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+                    className="shadow appearance-none border rounded w-16 py-1 px-2 mx-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                  />
+                  alternatives
+                </label>
+              )}
+              {activeTab === 'text' && (
+                <label className="mr-4" title="Send a single GET /text/{prompt} request. Memory, tools, structured output and sampling parameters are not used.">
+                  <input
+                    type="checkbox"
+                    checked={simpleMode}
+                    onChange={() => setSimpleMode(!simpleMode)}
+                    className="mr-2"
+                  />
+                  Quick Prompt (GET /text)
+                </label>
+              )}
+              {activeTab === 'text' && (
+                <label className="mr-4" title="Stream the prompt to several models at once and compare the answers">
+                  <input
+                    type="checkbox"
+                    checked={compareMode}
+                    onChange={() => setCompareMode(!compareMode)}
+                    className="mr-2"
+                  />
+                  Compare Models
+                </label>
+              )}
+            </div>
+
+            <div className="mb-4 p-4 border rounded bg-gray-50">
+                <div className="flex items-center">
+                    {(() => {
+                      const currentModel = models.find(m => m.name === model);
+                      const hasAudio = currentModel && currentModel.audio;
+                      return (
+                        <React.Fragment>
+                          <label className={`inline-flex items-center mr-4 ${!hasAudio ? 'opacity-50 cursor-not-allowed' : ''}`}>
+                              <input
+                              type="checkbox"
+                              checked={voiceToAudio}
+                              disabled={!hasAudio}
+                              onChange={() => setVoiceToAudio(!voiceToAudio)}
+                              className="mr-2"
+                              />
+                              <span>Generate audio response</span>
+                          </label>
+                          {voiceToAudio && hasAudio && (
+                        <div className="flex items-center">
+                            <label className="block text-gray-700 text-sm font-bold mr-2">
+                                Voice:
+                            </label>
+                            <select
+                                value={voiceOption}
+                                onChange={(e) => setVoiceOption(e.target.value)}
+                                className="shadow-sm appearance-none border rounded py-1 px-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                            >
+                                <option value="alloy">Alloy</option>
+                                <option value="echo">Echo</option>
+                                <option value="fable">Fable</option>
+                                <option value="onyx">Onyx</option>
+                                <option value="nova">Nova</option>
+                                <option value="shimmer">Shimmer</option>
+                                <option value="coral">Coral</option>
+                                <option value="verse">Verse</option>
+                                <option value="ballad">Ballad</option>
+                                <option value="ash">Ash</option>
+                                <option value="sage">Sage</option>
+                                <option value="amuch">Amuch</option>
+                                <option value="dan">Dan</option>
+                            </select>
+                        </div>
+                          )}
+                        </React.Fragment>
+                      );
+                    })()}
+                </div>
+                {(() => {
+                  const currentModel = models.find(m => m.name === model);
+                  const hasAudio = currentModel && currentModel.audio;
+                  return !hasAudio ? (
+                    <p className="text-sm text-gray-600 mt-2 bg-blue-50 p-2 rounded">
+                      ℹ️ Audio output is only available with audio-capable models like <strong>openai-audio</strong>.
+                      Select an audio-capable model to enable this feature.
+                    </p>
+                  ) : null;
+                })()}
             </div>
 
-            {activeTab === 'audio' && (
+            {activeTab === 'text' && compareMode && (
+              <ModelComparison
+                models={getFilteredModels()}
+                apiKey={apiKey}
+                prompt={prompt}
+                systemPrompt={systemPrompt}
+                parameters={parameters}
+              />
+            )}
+
+            {activeTab === 'text' && !compareMode && (
               <button
                 onClick={sendRequest}
                 disabled={loading}
-                className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
               >
-                {loading ? 'Generating...' : 'Generate Audio'}
+                {loading ? 'Generating...' : 'Generate'}
               </button>
             )}
-          </div>
-        )}
 
-        {activeTab === 'speech' && (
-          <div className="bg-white shadow-md rounded px-8 pt-6 pb-8 mb-4">
-            {useAudioInput && (
-            <div className="mb-4">
-              <label className="block text-gray-700 text-sm font-bold mb-2">
-                Speech Recognition Method
-              </label>
-              <div className="flex items-center">
-                <label className="inline-flex items-center mr-4">
-                  <input
-                    type="radio"
-                    value="webkit"
-                    checked={speechMethod === 'webkit'}
-                    onChange={() => setSpeechMethod('webkit')}
-                    className="form-radio"
-                  />
-                  <span className="ml-2">WebKit (Browser Native)</span>
+            {activeTab === 'text' && simpleMode && simpleRequestUrl && (
+              <div className="mt-4 p-4 border rounded bg-gray-50">
+                <label className="block text-gray-700 text-sm font-bold mb-2">
+                  Request URL
                 </label>
-                <label className="inline-flex items-center">
+                <div className="flex">
                   <input
-                    type="radio"
-                    value="pollinations"
-                    checked={speechMethod === 'pollinations'}
-                    onChange={() => setSpeechMethod('pollinations')}
-                    className="form-radio"
+                    type="text"
+                    readOnly
+                    value={simpleRequestUrl}
+                    onFocus={(e) => e.target.select()}
+                    className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline font-mono text-sm"
                   />
-                  <span className="ml-2">Pollinations.ai</span>
-                </label>
+                  <button
+                    onClick={copySimpleRequestUrl}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline ml-2 whitespace-nowrap"
+                  >
+                    {urlCopied ? 'Copied!' : 'Copy URL'}
+                  </button>
+                </div>
+                <p className="text-sm text-gray-600 mt-2">
+                  The URL includes the model, system prompt and seed but not your API key.
+                  Anyone opening it gets the same request; add <code>&amp;key=YOUR_KEY</code> to use their own key.
+                </p>
               </div>
-            </div>
             )}
 
-            {speechMethod === 'webkit' && useAudioInput && (
-              <div className="mb-4">
-                <label className="block text-gray-700 text-sm font-bold mb-2">
-                  Speech Language
-                </label>
-                <select
-                  value={speechLanguage}
-                  onChange={(e) => setSpeechLanguage(e.target.value)}
-                  className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            {activeTab === 'vision' && (
+              <div>
+                <input
+                  type="text"
+                  placeholder="Image URL (optional)"
+                  value={imageUrl}
+                  onChange={(e) => setImageUrl(e.target.value)}
+                  className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-4"
+                />
+
+                <div className="mb-4">
+                  <label className="block text-gray-700 text-sm font-bold mb-2">
+                    Upload Images
+                  </label>
+                  <input
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    onChange={handleImageUpload}
+                    className="block w-full text-gray-700 py-2"
+                  />
+                  <div className="mt-2 text-sm text-gray-600">
+                    You can also paste images with Ctrl+V/Cmd+V
+                  </div>
+                </div>
+
+                {uploadedImages.length > 0 && (
+                  <div className="mb-4">
+                    <div className="flex flex-wrap gap-2">
+                      {uploadedImages.map(img => (
+                        <div key={img.id} className="relative">
+                          <img
+                            src={img.dataUrl}
+                            alt={img.name}
+                            className="h-24 w-auto object-cover border rounded"
+                          />
+                          <button
+                            onClick={() => removeImage(img.id)}
+                            className="absolute top-0 right-0 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center"
+                          >
+                            ×
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <button
+                  onClick={sendRequest}
+                  disabled={loading || (imageUrl === '' && uploadedImages.length === 0)}
+                  className="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
                 >
-                  <option value="en-US">English (US)</option>
-                  <option value="es-ES">Spanish (Spain)</option>
-                  <option value="fr-FR">French (France)</option>
-                  <option value="de-DE">German (Germany)</option>
-                  <option value="it-IT">Italian (Italy)</option>
-                  <option value="ja-JP">Japanese</option>
-                  <option value="zh-CN">Chinese (Simplified)</option>
-                  <option value="ar-SA">Arabic (Saudi Arabia)</option>
-                  <option value="hi-IN">Hindi (India)</option>
-                  <option value="pt-BR">Portuguese (Brazil)</option>
-                </select>
+                  {loading ? 'Analyzing...' : 'Analyze Images'}
+                </button>
               </div>
             )}
 
-            {speechMethod === 'pollinations' && useAudioInput && (
-              <div className="flex space-x-4 mb-4">
-                {!isListening && (
-                  <button
-                    onClick={startAudioRecording}
-                    disabled={isListening}
-                    className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
-                  >
-                    {!loading ? 'Start Recording' : 'Generating...'}
-                  </button>
+            {activeTab === 'tts' && (
+              <div>
+                <div className="mb-4">
+                  <label className="inline-flex items-center mr-4">
+                    <input
+                      type="radio"
+                      name="ttsMode"
+                      checked={ttsMode === 'speech'}
+                      onChange={() => setTtsMode('speech')}
+                      className="mr-2"
+                    />
+                    Speech
+                  </label>
+                  <label className="inline-flex items-center">
+                    <input
+                      type="radio"
+                      name="ttsMode"
+                      checked={ttsMode === 'music'}
+                      onChange={() => setTtsMode('music')}
+                      className="mr-2"
+                    />
+                    Music &amp; Sound (GET /audio)
+                  </label>
+                </div>
+
+                {ttsMode === 'music' && (
+                  <div>
+                    <div className="mb-4">
+                      <label className="block text-gray-700 text-sm font-bold mb-2">
+                        Model
+                      </label>
+                      <select
+                        value={musicModel}
+                        onChange={(e) => setMusicModel(e.target.value)}
+                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                      >
+                        {window.PollinationsConstants.MUSIC.MODELS.map(name => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div className="mb-4">
+                      <label className="block text-gray-700 text-sm font-bold mb-2">
+                        Duration: {musicDuration}s
+                      </label>
+                      <input
+                        type="range"
+                        min={window.PollinationsConstants.MUSIC.DURATION_MIN}
+                        max={window.PollinationsConstants.MUSIC.DURATION_MAX}
+                        step="1"
+                        value={musicDuration}
+                        onChange={(e) => setMusicDuration(parseInt(e.target.value, 10))}
+                        className="w-full"
+                      />
+                      <div className="flex justify-between text-xs text-gray-600">
+                        <span>{window.PollinationsConstants.MUSIC.DURATION_MIN}s</span>
+                        <span>{window.PollinationsConstants.MUSIC.DURATION_MAX}s</span>
+                      </div>
+                    </div>
+
+                    <div className="mb-4">
+                      <label className="inline-flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={musicInstrumental}
+                          onChange={() => setMusicInstrumental(!musicInstrumental)}
+                          className="mr-2"
+                        />
+                        Instrumental (no vocals)
+                      </label>
+                    </div>
+
+                    <button
+                      onClick={generateMusic}
+                      disabled={loading || !prompt}
+                      className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                    >
+                      {loading ? 'Generating Music...' : 'Generate Music'}
+                    </button>
+                  </div>
+                )}
+
+                {ttsMode === 'speech' && (
+                  <div>
+                    <div className="mb-4">
+                      <label className="block text-gray-700 text-sm font-bold mb-2">
+                        Voice
+                      </label>
+                      <select
+                        value={voiceOption}
+                        onChange={(e) => setVoiceOption(e.target.value)}
+                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                      >
+                        <option value="alloy">Alloy</option>
+                        <option value="echo">Echo</option>
+                        <option value="fable">Fable</option>
+                        <option value="onyx">Onyx</option>
+                        <option value="nova">Nova</option>
+                        <option value="shimmer">Shimmer</option>
+                        <option value="coral">Coral</option>
+                        <option value="verse">Verse</option>
+                        <option value="ballad">Ballad</option>
+                        <option value="ash">Ash</option>
+                        <option value="sage">Sage</option>
+                      </select>
+                    </div>
+
+                    <div className="mb-4">
+                      <label className="block text-gray-700 text-sm font-bold mb-2">
+                        Audio Format
+                      </label>
+                      <select
+                        value={ttsFormat}
+                        onChange={(e) => setTtsFormat(e.target.value)}
+                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                      >
+                        <option value="mp3">MP3</option>
+                        <option value="wav">WAV</option>
+                        <option value="opus">Opus</option>
+                        <option value="aac">AAC</option>
+                        <option value="flac">FLAC</option>
+                        <option value="pcm">PCM</option>
+                      </select>
+                    </div>
+
+                    <div className="mb-4">
+                      <label className="block text-gray-700 text-sm font-bold mb-2">
+                        Speed: {ttsSpeed}x
+                      </label>
+                      <input
+                        type="range"
+                        min="0.25"
+                        max="4"
+                        step="0.25"
+                        value={ttsSpeed}
+                        onChange={(e) => setTtsSpeed(parseFloat(e.target.value))}
+                        className="w-full"
+                      />
+                      <div className="flex justify-between text-xs text-gray-600">
+                        <span>0.25x</span>
+                        <span>4x</span>
+                      </div>
+                    </div>
+
+                    <div className="mb-4">
+                      <label className="block text-gray-700 text-sm font-bold mb-2">
+                        Model
+                      </label>
+                      <select
+                        value={ttsModel}
+                        onChange={(e) => setTtsModel(e.target.value)}
+                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                      >
+                        <option value="tts-1">TTS-1 (Standard)</option>
+                        <option value="tts-1-hd">TTS-1 HD (High Quality)</option>
+                      </select>
+                    </div>
+
+                    <button
+                      onClick={generateTTS}
+                      disabled={loading || !prompt}
+                      className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                    >
+                      {loading ? 'Generating Audio...' : 'Generate Speech'}
+                    </button>
+                  </div>
                 )}
-                {isListening && (
+              </div>
+            )}
+
+            {(activeTab === 'audio' || activeTab === 'speech') && (
+              <div>
+                <div className="mb-4">
+                  <label className="inline-flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={useAudioInput}
+                      onChange={() => setUseAudioInput(!useAudioInput)}
+                      className="mr-2"
+                    />
+                    <span>Use audio input</span>
+                  </label>
+                </div>
+
+                {activeTab === 'audio' && (
                   <button
-                    onClick={stopAudioRecording}
-                    className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                    onClick={sendRequest}
+                    disabled={loading}
+                    className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
                   >
-                    Stop & Transcribe
+                    {loading ? 'Generating...' : 'Generate Audio'}
                   </button>
                 )}
               </div>
             )}
-            {!useAudioInput && (
-              <div className="flex space-x-4 mb-4">
-                <button
-                  onClick={handleSendTextOnlyAudioRequest}
-                  disabled={loading}
-                  className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
-                >
-                  {loading ? 'Generating...' : 'Send'}
-                </button>
+
+            {activeTab === 'speech' && (
+              <div className="bg-white shadow-md rounded px-8 pt-6 pb-8 mb-4">
+                {useAudioInput && (
+                <div className="mb-4">
+                  <label className="block text-gray-700 text-sm font-bold mb-2">
+                    Speech Recognition Method
+                  </label>
+                  <div className="flex items-center">
+                    <label className="inline-flex items-center mr-4">
+                      <input
+                        type="radio"
+                        value="webkit"
+                        checked={speechMethod === 'webkit'}
+                        onChange={() => setSpeechMethod('webkit')}
+                        className="form-radio"
+                      />
+                      <span className="ml-2">WebKit (Browser Native)</span>
+                    </label>
+                    <label className="inline-flex items-center">
+                      <input
+                        type="radio"
+                        value="pollinations"
+                        checked={speechMethod === 'pollinations'}
+                        onChange={() => setSpeechMethod('pollinations')}
+                        className="form-radio"
+                      />
+                      <span className="ml-2">Pollinations.ai</span>
+                    </label>
+                  </div>
+                </div>
+                )}
+
+                {speechMethod === 'webkit' && useAudioInput && (
+                  <div className="mb-4">
+                    <label className="block text-gray-700 text-sm font-bold mb-2">
+                      Speech Language
+                    </label>
+                    <select
+                      value={speechLanguage}
+                      onChange={(e) => setSpeechLanguage(e.target.value)}
+                      className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                    >
+                      <option value="en-US">English (US)</option>
+                      <option value="es-ES">Spanish (Spain)</option>
+                      <option value="fr-FR">French (France)</option>
+                      <option value="de-DE">German (Germany)</option>
+                      <option value="it-IT">Italian (Italy)</option>
+                      <option value="ja-JP">Japanese</option>
+                      <option value="zh-CN">Chinese (Simplified)</option>
+                      <option value="ar-SA">Arabic (Saudi Arabia)</option>
+                      <option value="hi-IN">Hindi (India)</option>
+                      <option value="pt-BR">Portuguese (Brazil)</option>
+                    </select>
+                  </div>
+                )}
+
+                {speechMethod === 'pollinations' && useAudioInput && (
+                  <div className="flex space-x-4 mb-4">
+                    {!isListening && (
+                      <button
+                        onClick={startAudioRecording}
+                        disabled={isListening}
+                        className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                      >
+                        {!loading ? 'Start Recording' : 'Generating...'}
+                      </button>
+                    )}
+                    {isListening && (
+                      <button
+                        onClick={stopAudioRecording}
+                        className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                      >
+                        Stop & Transcribe
+                      </button>
+                    )}
+                  </div>
+                )}
+                {!useAudioInput && (
+                  <div className="flex space-x-4 mb-4">
+                    <button
+                      onClick={handleSendTextOnlyAudioRequest}
+                      disabled={loading}
+                      className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                    >
+                      {loading ? 'Generating...' : 'Send'}
+                    </button>
+                  </div>
+                )}
+                {speechMethod === 'webkit' && useAudioInput && (
+                  <div className="flex space-x-4 mb-4">
+                    <button
+                      onClick={startSpeechRecognition}
+                      disabled={isListening}
+                      className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                    >
+                      {isListening ? 'Listening...' : 'Start WebKit Speech Input'}
+                    </button>
+                    {isListening && (
+                      <button
+                        onClick={stopSpeechRecognition}
+                        className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                      >
+                        Stop Listening
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
             )}
-            {speechMethod === 'webkit' && useAudioInput && (
-              <div className="flex space-x-4 mb-4">
-                <button
-                  onClick={startSpeechRecognition}
-                  disabled={isListening}
-                  className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
-                >
-                  {isListening ? 'Listening...' : 'Start WebKit Speech Input'}
-                </button>
-                {isListening && (
-                  <button
-                    onClick={stopSpeechRecognition}
-                    className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
-                  >
-                    Stop Listening
-                  </button>
-                )}
+
+            {loading && (
+              <button
+                onClick={stopGeneration}
+                className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline mt-4"
+              >
+                Stop
+              </button>
+            )}
+
+            {loading && retryStatus && (
+              <p className="text-sm text-yellow-700 mt-2">⏳ {retryStatus}</p>
+            )}
+
+            {audioURL && (
+              <div className="mt-4">
+                <audio
+                  controls
+                  src={audioURL}
+                  ref={ref => setAudioPlayerRef(ref)}
+                  className="w-full"
+                />
               </div>
             )}
-          </div>
-        )}
 
-        {audioURL && (
-          <div className="mt-4">
-            <audio
-              controls
-              src={audioURL}
-              ref={ref => setAudioPlayerRef(ref)}
-              className="w-full"
+            {activeTab === 'tts' && (
+              <AudioClipHistory
+                clips={audioClips}
+                currentUrl={audioURL}
+                onPlay={(clip) => setAudioURL(clip.url)}
+                onRemove={removeAudioClip}
+                onClear={clearAudioClips}
+              />
+            )}
+
+            <ThinkingPane text={reasoningText} active={loading} />
+
+            <ToolSteps steps={toolSteps} />
+
+            {structuredResult && <StructuredResult result={structuredResult} />}
+
+            <UsagePanel
+              usageLog={usageLog}
+              totalUsage={totalUsage}
+              totalCost={totalCost}
+              totalSavings={totalSavings}
+              onReset={resetUsage}
             />
-          </div>
-        )}
 
-        {result && !isStreaming && (
-          <div className="mt-4 p-4 bg-gray-100 rounded">
-            {result.startsWith('<audio') ? (
-              <div dangerouslySetInnerHTML={{ __html: result }}></div>
-            ) : showMarkdown ? (
-              <div className="markdown-content" dangerouslySetInnerHTML={{ __html: marked.parse(result) }}></div>
-            ) : (
-              <pre className="whitespace-pre-wrap">{result}</pre>
+            {result && !isStreaming && (
+              <div className="mt-4 p-4 bg-gray-100 rounded">
+                {result.startsWith('<audio') ? (
+                  <div dangerouslySetInnerHTML={{ __html: result }}></div>
+                ) : showMarkdown ? (
+                  <div className="markdown-content" dangerouslySetInnerHTML={{ __html: marked.parse(result) }}></div>
+                ) : (
+                  <pre className="whitespace-pre-wrap">{result}</pre>
+                )}
+              </div>
             )}
-          </div>
-        )}
 
-        {streamedResult && isStreaming && (
-          <div className="mt-4 p-4 bg-gray-100 rounded">
-            {showMarkdown ? (
-              <div className="markdown-content" dangerouslySetInnerHTML={{ __html: marked.parse(streamedResult) }}></div>
-            ) : (
-              <pre className="whitespace-pre-wrap">{streamedResult}</pre>
+            {streamedResult && isStreaming && (
+              <div className="mt-4 p-4 bg-gray-100 rounded">
+                {showMarkdown ? (
+                  <div className="markdown-content" dangerouslySetInnerHTML={{ __html: marked.parse(streamedResult) }}></div>
+                ) : (
+                  <pre className="whitespace-pre-wrap">{streamedResult}</pre>
+                )}
+              </div>
             )}
-          </div>
+
+            {lastRequest && !loading && lastRequest.tab === activeTab && (
+              <div className="mt-2 text-sm text-gray-600">
+                🎲 Seed {lastRequest.seed} · {lastRequest.model}
+                <button
+                  onClick={() => rerunWithSeed(lastRequest)}
+                  className="text-blue-600 underline ml-2 focus:outline-none"
+                >
+                  Re-run with this seed
+                </button>
+              </div>
+            )}
+
+            <ContentBlocks images={responseImages} citations={responseCitations} />
+
+            <TokenHeatmap tokens={responseTokens} />
+          </React.Fragment>
         )}
       </div>
 
-      {enableMemory && (
-        <div className="mt-6">
+      <div className="mt-6 flex flex-col md:flex-row">
+        <div className="md:w-64 md:mr-4 mb-4 md:mb-0 flex-shrink-0">
+          <h2 className="text-xl font-semibold mb-4">Conversations</h2>
+          <ConversationSidebar
+            conversations={conversations}
+            activeId={activeConversationId}
+            onCreate={createConversation}
+            onSwitch={switchConversation}
+            onRename={renameConversation}
+            onTogglePin={togglePin}
+            onDelete={deleteConversation}
+            storageWarning={storageWarning}
+            storageEstimate={storageEstimate}
+            disabled={loading}
+          />
+          <ConversationTransfer
+            onExport={exportConversations}
+            onImport={importConversationFile}
+            disabled={loading}
+          />
+        </div>
+
+        <div className="flex-1 min-w-0">
           <h2 className="text-xl font-semibold mb-4">Chat History</h2>
+          {contextPlan && (
+            <ContextWindowPanel
+              plan={contextPlan}
+              settings={contextSettings}
+              onSettingsChange={setContextSettings}
+              models={models}
+            />
+          )}
           <div className="bg-gray-100 p-4 rounded">
-            {chatHistory.length > 0 ? (
+            {!enableMemory ? (
+              <p className="text-gray-600">Turn on Enable Chat Memory to keep and save this conversation.</p>
+            ) : chatHistory.length > 0 ? (
               <ul className="list-disc list-inside">
-                {chatHistory.map((entry, index) => (
-                  <li key={index} className="mb-2">
-                    <strong>({index}) {entry.role === 'user' ? 'User' : 'Assistant'}:</strong> {entry.content}
-                  </li>
-                ))}
+                {chatHistory.map((entry, index) => {
+                  // Tool call and result messages are shown as the steps of the answer after them
+                  if (entry.role === 'tool' || entry.tool_calls) return null;
+                  const promptIndex = entry.role === 'user' ? -1 : window.PollinationsBranches.findPromptIndex(chatHistory, index);
+                  return (
+                    <li
+                      key={index}
+                      className={`mb-2 ${contextPlan && !contextPlan.messages.includes(entry) ? 'opacity-50' : ''}`}
+                      title={contextPlan && !contextPlan.messages.includes(entry)
+                        ? (contextSettings.strategy === 'summarize' ? 'Sent as part of the summary' : 'Not sent: outside the context window')
+                        : undefined}
+                    >
+                      <strong>({index}) {entry.role === 'user' ? 'User' : 'Assistant'}:</strong>{' '}
+                      <MessageContent content={entry.content} audio={entry.audio} />
+                      <TurnActions
+                        entry={entry}
+                        models={getFilteredModels()}
+                        model={model}
+                        disabled={loading || !['text', 'vision', 'speech'].includes(activeTab)}
+                        canRegenerate={promptIndex !== -1}
+                        onEdit={(content) => resendTurn(index, content)}
+                        onRegenerate={(turnModel) => resendTurn(promptIndex, chatHistory[promptIndex].content, turnModel)}
+                        onSwitchBranch={(target) => switchBranch(index, target)}
+                      />
+                      <CacheToggle
+                        value={entry.cache}
+                        onChange={(value) => setHistoryCache(index, value)}
+                        disabled={!promptCaching}
+                      />
+                      {contextSettings.strategy === 'pinned' && (
+                        <button
+                          onClick={() => setHistoryPinned(index, !entry.pinned)}
+                          title={entry.pinned ? 'Unpin' : 'Always send this message'}
+                          className={`ml-2 text-sm focus:outline-none ${entry.pinned ? '' : 'opacity-50 hover:opacity-100'}`}
+                        >
+                          📌
+                        </button>
+                      )}
+                      {entry.request && (
+                        <div className="ml-6 text-sm text-gray-600">
+                          🎲 Seed {entry.request.seed} · {entry.request.model}
+                          {Object.keys(entry.request.parameters || {}).length > 0 && (
+                            <span> · {Object.keys(entry.request.parameters).map(name => `${name}=${JSON.stringify(entry.request.parameters[name])}`).join(', ')}</span>
+                          )}
+                          <button
+                            onClick={() => rerunWithSeed(entry.request)}
+                            disabled={loading}
+                            className="text-blue-600 underline ml-2 focus:outline-none disabled:opacity-50"
+                          >
+                            Re-run with this seed
+                          </button>
+                        </div>
+                      )}
+                      {entry.reasoning && (
+                        <details className="ml-6 text-sm text-gray-600">
+                          <summary className="cursor-pointer">💭 Thinking</summary>
+                          <pre className="whitespace-pre-wrap">{entry.reasoning}</pre>
+                        </details>
+                      )}
+                      <div className="ml-6">
+                        <ContentBlocks images={entry.images} citations={entry.citations} compact />
+                      </div>
+                      <div className="ml-6">
+                        <ToolSteps steps={entry.steps} compact />
+                      </div>
+                    </li>
+                  );
+                })}
               </ul>
             ) : (
               <p className="text-gray-600">No chat history available.</p>
             )}
           </div>
         </div>
-      )}
+      </div>
 
       <div className="mt-6 text-center">
         <h2 className="text-xl font-semibold mb-4">API Capabilities</h2>
@@ -1111,7 +1996,7 @@ const App = () => {
           <li>Text-to-Speech with multiple voices</li>
           <li>Speech-to-Text Recognition</li>
           <li>Streaming support</li>
-          <li>Chat memory</li>
+          <li>Chat memory with saved conversations</li>
           <li>Optional API key authentication for better performance</li>
         </ul>
         <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded">
@@ -0,0 +1,230 @@
+/**
+ * AccountDashboard Component
+ * Pollen balance, profile, usage history and daily usage charts for an API key
+ *
+ * @param {Object} props
+ * @param {string} props.apiKey - API key to query the account endpoints with
+ */
+const AccountDashboard = ({ apiKey }) => {
+  const PAGE_SIZE = 20;
+
+  const [sections, setSections] = React.useState({});
+  const [loading, setLoading] = React.useState(false);
+  const [page, setPage] = React.useState(0);
+  const [chartMetric, setChartMetric] = React.useState('requests');
+
+  const loadAccount = React.useCallback(async (signal) => {
+    if (!apiKey) return;
+    const API = window.PollinationsAPI;
+
+    setLoading(true);
+    setPage(0);
+
+    // Each section loads on its own: a key may have account:balance but not account:usage
+    const names = ['profile', 'balance', 'usage', 'daily'];
+    const results = await Promise.allSettled([
+      API.fetchAccountProfile(apiKey, { signal }),
+      API.fetchAccountBalance(apiKey, { signal }),
+      API.fetchAccountUsage(apiKey, { signal }),
+      API.fetchAccountUsageDaily(apiKey, { signal })
+    ]);
+    if (signal && signal.aborted) return;
+
+    const next = {};
+    results.forEach((result, i) => {
+      next[names[i]] = result.status === 'fulfilled'
+        ? { data: result.value, error: null }
+        : { data: null, error: result.reason };
+      if (result.status === 'rejected' && result.reason.name !== 'PermissionError') {
+        console.warn(`Failed to load account ${names[i]}:`, result.reason);
+      }
+    });
+    setSections(next);
+    setLoading(false);
+  }, [apiKey]);
+
+  React.useEffect(() => {
+    const controller = new AbortController();
+    loadAccount(controller.signal);
+    return () => controller.abort();
+  }, [loadAccount]);
+
+  if (!apiKey) {
+    return (
+      <p className="text-gray-600">
+        Enter an API key above to see its balance and usage.
+      </p>
+    );
+  }
+
+  const renderError = (section, permission) => {
+    const error = section && section.error;
+    if (!error) return null;
+    if (error.name === 'PermissionError') {
+      return (
+        <p className="text-sm text-gray-600">
+          🔒 This key doesn't have the <code>{permission}</code> permission. Add it at{' '}
+          <a href="https://enter.pollinations.ai" target="_blank" className="text-blue-600 underline">enter.pollinations.ai</a>.
+        </p>
+      );
+    }
+    return <p className="text-sm text-red-600">⚠️ {window.PollinationsHelpers.formatApiError(error)}</p>;
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+  const { profile, balance, usage, daily } = sections;
+  const usageRecords = (usage && usage.data && usage.data.usage) || [];
+  const pageCount = Math.max(1, Math.ceil(usageRecords.length / PAGE_SIZE));
+  const pageRecords = usageRecords.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  // Group daily records by model, oldest date first
+  const dailyRecords = (daily && daily.data && daily.data.usage) || [];
+  const dailyByModel = {};
+  dailyRecords.forEach(record => {
+    const model = record.model || 'unknown';
+    dailyByModel[model] = (dailyByModel[model] || []).concat(record);
+  });
+  Object.keys(dailyByModel).forEach(model => {
+    dailyByModel[model].sort((a, b) => (a.date < b.date ? -1 : 1));
+  });
+  const metricValue = (record) => (chartMetric === 'cost' ? record.cost_usd || 0 : record.requests || 0);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Account</h2>
+        <button
+          onClick={() => loadAccount()}
+          disabled={loading}
+          className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div className="p-4 border rounded bg-gray-50">
+          <h3 className="text-sm font-bold text-gray-700 mb-2">Balance</h3>
+          {balance && balance.data && (
+            <p className="text-2xl font-bold">🌸 {balance.data.balance} pollen</p>
+          )}
+          {renderError(balance, 'account:balance')}
+        </div>
+
+        <div className="p-4 border rounded bg-gray-50">
+          <h3 className="text-sm font-bold text-gray-700 mb-2">Profile</h3>
+          {profile && profile.data && (
+            <ul className="text-sm">
+              <li><strong>Name:</strong> {profile.data.name || '—'}</li>
+              {profile.data.githubUsername && <li><strong>GitHub:</strong> {profile.data.githubUsername}</li>}
+              <li><strong>Tier:</strong> {profile.data.tier}</li>
+              <li><strong>Next reset:</strong> {formatDate(profile.data.nextResetAt)}</li>
+              <li><strong>Member since:</strong> {formatDate(profile.data.createdAt)}</li>
+            </ul>
+          )}
+          {renderError(profile, 'account:profile')}
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">Daily Usage (last 90 days)</h3>
+          <select
+            value={chartMetric}
+            onChange={(e) => setChartMetric(e.target.value)}
+            className="shadow-sm appearance-none border rounded py-1 px-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+          >
+            <option value="requests">Requests</option>
+            <option value="cost">Cost (USD)</option>
+          </select>
+        </div>
+        {renderError(daily, 'account:usage')}
+        {daily && daily.data && dailyRecords.length === 0 && (
+          <p className="text-sm text-gray-600">No usage in the last 90 days.</p>
+        )}
+        {Object.keys(dailyByModel).map(model => {
+          const records = dailyByModel[model];
+          const max = Math.max(...records.map(metricValue), 0) || 1;
+          const total = records.reduce((sum, record) => sum + metricValue(record), 0);
+          return (
+            <div key={model} className="mb-4">
+              <div className="text-sm text-gray-700 mb-1">
+                <strong>{model}</strong> — {chartMetric === 'cost' ? `$${total.toFixed(4)}` : `${total} requests`}
+              </div>
+              <div className="flex items-end h-16 border-b border-l">
+                {records.map(record => (
+                  <div
+                    key={record.date + (record.meter_source || '')}
+                    title={`${record.date}: ${record.requests} requests, $${(record.cost_usd || 0).toFixed(4)}`}
+                    className="bg-blue-400 hover:bg-blue-600 mx-px flex-1"
+                    style={{ height: `${(metricValue(record) / max) * 100}%`, maxWidth: '16px' }}
+                  />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold mb-2">Usage History</h3>
+        {renderError(usage, 'account:usage')}
+        {usage && usage.data && usageRecords.length === 0 && (
+          <p className="text-sm text-gray-600">No requests yet.</p>
+        )}
+        {usageRecords.length > 0 && (
+          <div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead>
+                  <tr className="border-b">
+                    <th className="py-1 pr-2">Time</th>
+                    <th className="py-1 pr-2">Type</th>
+                    <th className="py-1 pr-2">Model</th>
+                    <th className="py-1 pr-2">Tokens in / out</th>
+                    <th className="py-1 pr-2">Cost (USD)</th>
+                    <th className="py-1 pr-2">Response time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pageRecords.map((record, i) => (
+                    <tr key={page * PAGE_SIZE + i} className="border-b">
+                      <td className="py-1 pr-2 whitespace-nowrap">{record.timestamp}</td>
+                      <td className="py-1 pr-2">{record.type}</td>
+                      <td className="py-1 pr-2">{record.model}</td>
+                      <td className="py-1 pr-2">
+                        {(record.input_text_tokens || 0) + (record.input_cached_tokens || 0) + (record.input_audio_tokens || 0) + (record.input_image_tokens || 0)}
+                        {' / '}
+                        {(record.output_text_tokens || 0) + (record.output_reasoning_tokens || 0) + (record.output_audio_tokens || 0) + (record.output_image_tokens || 0)}
+                      </td>
+                      <td className="py-1 pr-2">{(record.cost_usd || 0).toFixed(6)}</td>
+                      <td className="py-1 pr-2">{record.response_time_ms != null ? `${record.response_time_ms} ms` : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex items-center justify-between mt-2 text-sm">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0}
+                className="text-blue-600 underline disabled:opacity-50 disabled:no-underline focus:outline-none"
+              >
+                ← Previous
+              </button>
+              <span>Page {page + 1} of {pageCount} ({usageRecords.length} requests)</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pageCount - 1}
+                className="text-blue-600 underline disabled:opacity-50 disabled:no-underline focus:outline-none"
+              >
+                Next →
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
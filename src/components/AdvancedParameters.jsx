@@ -0,0 +1,162 @@
+/**
+ * AdvancedParameters Component
+ * Collapsible panel for sampling parameters (temperature, top_p, max_tokens, ...)
+ *
+ * @param {Object} props
+ * @param {Object} props.parameters - Enabled parameters for the active tab
+ * @param {Function} props.setParameter - (name, value) setter; undefined disables the parameter
+ * @param {Function} props.resetParameters - Disable all parameters
+ * @param {Object} props.modelInfo - Selected model info from fetchModels
+ * @param {Object} [props.droppedParameters] - { model, parameters } left out of the last request
+ */
+const AdvancedParameters = ({ parameters, setParameter, resetParameters, modelInfo, droppedParameters }) => {
+  const [open, setOpen] = React.useState(false);
+  const [jsonErrors, setJsonErrors] = React.useState({});
+
+  const definitions = window.PollinationsConstants.SAMPLING_PARAMETERS;
+  const modelName = modelInfo ? modelInfo.name : '';
+  const { supported, defaults } = window.PollinationsAPI.getModelParameterSupport(modelInfo || modelName);
+  const enabledCount = Object.keys(parameters).length;
+
+  const toggleParameter = (name) => {
+    if (parameters[name] !== undefined) {
+      setParameter(name, undefined);
+    } else {
+      setParameter(name, defaults[name]);
+    }
+  };
+
+  const renderInput = (name, definition) => {
+    const value = parameters[name];
+
+    switch (definition.type) {
+      case 'number':
+      case 'integer':
+        return (
+          <div className="flex items-center">
+            <input
+              type="range"
+              min={definition.min}
+              max={definition.max}
+              step={definition.step}
+              value={value}
+              onChange={(e) => setParameter(name, Number(e.target.value))}
+              className="flex-grow mr-2"
+            />
+            <input
+              type="number"
+              min={definition.min}
+              max={definition.max}
+              step={definition.step}
+              value={value}
+              onChange={(e) => {
+                const parsed = definition.type === 'integer' ? parseInt(e.target.value, 10) : parseFloat(e.target.value);
+                if (!isNaN(parsed)) {
+                  setParameter(name, Math.min(definition.max, Math.max(definition.min, parsed)));
+                }
+              }}
+              className="shadow appearance-none border rounded w-24 py-1 px-2 text-gray-700"
+            />
+          </div>
+        );
+      case 'list':
+        return (
+          <textarea
+            value={value.join('\n')}
+            onChange={(e) => setParameter(name, e.target.value.split('\n').slice(0, definition.max))}
+            rows={2}
+            placeholder={`One per line (up to ${definition.max})`}
+            className="shadow appearance-none border rounded w-full py-1 px-2 text-gray-700 font-mono text-sm"
+          />
+        );
+      case 'json':
+        return (
+          <div>
+            <textarea
+              defaultValue={JSON.stringify(value)}
+              onChange={(e) => {
+                try {
+                  setParameter(name, JSON.parse(e.target.value || '{}'));
+                  setJsonErrors(prev => ({ ...prev, [name]: '' }));
+                } catch (error) {
+                  setJsonErrors(prev => ({ ...prev, [name]: error.message }));
+                }
+              }}
+              rows={2}
+              placeholder='{"50256": -100}'
+              className="shadow appearance-none border rounded w-full py-1 px-2 text-gray-700 font-mono text-sm"
+            />
+            {jsonErrors[name] && <p className="text-xs text-red-600">Invalid JSON: {jsonErrors[name]}</p>}
+          </div>
+        );
+      default:
+        return (
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => setParameter(name, e.target.value)}
+            className="shadow appearance-none border rounded w-full py-1 px-2 text-gray-700"
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="mb-4 p-4 border rounded bg-gray-50">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setOpen(!open)}
+          className="text-gray-700 text-sm font-bold focus:outline-none"
+        >
+          {open ? '▾' : '▸'} Advanced Parameters
+          {enabledCount > 0 && <span className="font-normal text-gray-600 ml-2">({enabledCount} set)</span>}
+        </button>
+        {open && enabledCount > 0 && (
+          <button onClick={resetParameters} className="text-sm text-blue-600 underline focus:outline-none">
+            Reset all
+          </button>
+        )}
+      </div>
+
+      {droppedParameters && (
+        <p className="mt-2 text-sm text-yellow-700">
+          ⚠️ The last request to {droppedParameters.model} was sent without {droppedParameters.parameters.join(', ')} (not supported by the model).
+        </p>
+      )}
+
+      {open && (
+        <div className="mt-4">
+          {Object.keys(definitions).map(name => {
+            const definition = definitions[name];
+            const isSupported = supported.includes(name);
+            const isEnabled = parameters[name] !== undefined;
+
+            return (
+              <div key={name} className={`mb-3 ${!isSupported ? 'opacity-50' : ''}`}>
+                <label className="inline-flex items-center text-sm text-gray-700 font-bold">
+                  <input
+                    type="checkbox"
+                    checked={isEnabled}
+                    onChange={() => toggleParameter(name)}
+                    className="mr-2"
+                  />
+                  {definition.label}
+                  <code className="font-normal text-xs text-gray-500 ml-2">{name}</code>
+                  {!isSupported && (
+                    <span className="font-normal text-xs text-gray-600 ml-2">
+                      (not supported by {modelName}, won't be sent)
+                    </span>
+                  )}
+                </label>
+                {isEnabled && <div className="mt-1">{renderInput(name, definition)}</div>}
+              </div>
+            );
+          })}
+          <p className="text-sm text-gray-600">
+            ℹ️ Unchecked parameters use the model's default. Settings are saved per tab.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
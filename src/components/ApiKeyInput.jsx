@@ -0,0 +1,149 @@
+/**
+ * ApiKeyInput Component
+ * API key entry with format validation, /account/key status and opt-in persistence
+ *
+ * @param {Object} props
+ * @param {string} props.apiKey - Current API key
+ * @param {Function} props.onChange - Called with the new key
+ */
+const ApiKeyInput = ({ apiKey, onChange }) => {
+  const Config = window.PollinationsConfig;
+
+  const [remember, setRemember] = React.useState(() => Config.hasSavedApiKey());
+  // Only keys typed here are saved, never one injected through config
+  const [edited, setEdited] = React.useState(false);
+  const [status, setStatus] = React.useState(null);
+  const [checking, setChecking] = React.useState(false);
+
+  const trimmedKey = apiKey.trim();
+  const keyType = Config.getApiKeyType(trimmedKey);
+  const formatError = trimmedKey && !keyType
+    ? 'Keys start with pk_ (publishable) or sk_ (secret) followed by letters and digits. Requests are sent without it until it is fixed.'
+    : '';
+
+  // Keep the saved key in sync, but only if the user opted in
+  React.useEffect(() => {
+    if (remember && edited) {
+      Config.saveApiKey(keyType ? trimmedKey : '');
+    }
+  }, [remember, edited, trimmedKey]);
+
+  // Check the key with /account/key shortly after it stops changing
+  React.useEffect(() => {
+    setStatus(null);
+    setChecking(false);
+    if (!keyType) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setChecking(true);
+      try {
+        const info = await window.PollinationsAPI.verifyApiKey(trimmedKey, { signal: controller.signal });
+        setStatus({ info, error: null });
+      } catch (error) {
+        if (!window.PollinationsAPI.isAbortError(error)) {
+          setStatus({ info: null, error });
+        }
+      }
+      if (!controller.signal.aborted) setChecking(false);
+    }, 600);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [trimmedKey]);
+
+  const handleRememberToggle = () => {
+    if (remember) {
+      Config.saveApiKey('');
+    }
+    setRemember(!remember);
+  };
+
+  const formatExpiry = (info) => {
+    if (!info.expiresAt) return 'never expires';
+    const days = info.expiresIn != null ? Math.floor(info.expiresIn / 86400) : null;
+    return `expires ${new Date(info.expiresAt).toLocaleString()}${days != null ? ` (in ${days} day${days === 1 ? '' : 's'})` : ''}`;
+  };
+
+  const renderStatus = () => {
+    if (checking) {
+      return <p className="text-sm text-gray-600 mt-2">⏳ Checking key...</p>;
+    }
+    if (!status) return null;
+
+    if (status.error) {
+      const message = status.error.name === 'AuthenticationError'
+        ? 'This key is invalid or has been revoked.'
+        : window.PollinationsHelpers.formatApiError(status.error);
+      return <p className="text-sm text-red-600 mt-2">❌ {message}</p>;
+    }
+
+    const { info } = status;
+    if (!info.valid) {
+      return <p className="text-sm text-red-600 mt-2">❌ This key is not active.</p>;
+    }
+
+    const permissions = info.permissions || {};
+    return (
+      <ul className="text-sm text-gray-700 mt-2">
+        <li>✅ Valid {info.type} key{info.name ? ` "${info.name}"` : ''}, {formatExpiry(info)}</li>
+        <li>
+          Models: {permissions.models ? permissions.models.join(', ') : 'all'}
+          {' · '}Account access: {permissions.account && permissions.account.length > 0 ? permissions.account.join(', ') : 'none'}
+        </li>
+        <li>
+          Budget: {info.pollenBudget != null ? `${info.pollenBudget} pollen` : 'account balance'}
+          {info.rateLimitEnabled ? ' · rate limited' : ''}
+        </li>
+      </ul>
+    );
+  };
+
+  return (
+    <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded">
+      <label className="block text-gray-700 text-sm font-bold mb-2">
+        API Key (Optional)
+      </label>
+      <input
+        type="password"
+        value={apiKey}
+        onChange={(e) => {
+          setEdited(true);
+          onChange(e.target.value);
+        }}
+        placeholder="Enter your Pollinations API key (get it at enter.pollinations.ai)"
+        autoComplete="off"
+        className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${formatError ? 'border-red-500' : ''}`}
+      />
+      {formatError && <p className="text-sm text-red-600 mt-2">{formatError}</p>}
+
+      {keyType === 'secret' && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded mt-2 text-sm">
+          ⚠️ <strong>This is a secret key.</strong> Anything running in this page, including browser
+          extensions, can read it. Use a publishable <code>pk_</code> key in the browser and keep
+          <code> sk_</code> keys on a server.
+        </div>
+      )}
+
+      {renderStatus()}
+
+      <label className="inline-flex items-center text-sm text-gray-700 mt-2">
+        <input
+          type="checkbox"
+          checked={remember}
+          onChange={handleRememberToggle}
+          className="mr-2"
+        />
+        Remember this key in this browser
+        {remember && keyType === 'secret' && <span className="text-red-600 ml-1">(not recommended for secret keys)</span>}
+      </label>
+
+      <p className="text-sm text-gray-600 mt-2">
+        ℹ️ Anonymous requests still work, but an API key gives you better performance and access to all models.
+        Get your key at <a href="https://enter.pollinations.ai" target="_blank" className="text-blue-600 underline">enter.pollinations.ai</a>
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,55 @@
+/**
+ * AudioClipHistory Component
+ * Generated speech and music clips, each playable and downloadable for side-by-side comparison
+ *
+ * @param {Object} props
+ * @param {Array} props.clips - Clips { id, kind, text, details, format, blob, url }, newest first
+ * @param {string|null} props.currentUrl - URL loaded in the main audio player
+ * @param {Function} props.onPlay - Load a clip into the main audio player
+ * @param {Function} props.onRemove - Remove a clip
+ * @param {Function} props.onClear - Remove all clips
+ */
+const AudioClipHistory = ({ clips, currentUrl, onPlay, onRemove, onClear }) => {
+  if (clips.length === 0) {
+    return null;
+  }
+
+  const handleDownload = (clip) => {
+    const mimeType = clip.blob.type.split(';')[0];
+    const extension = window.PollinationsHelpers.getAudioFormat(mimeType, clip.format || 'mp3');
+    window.PollinationsHelpers.downloadFile(clip.blob, `pollinations-${clip.kind}-${clip.id}.${extension}`, mimeType);
+  };
+
+  return (
+    <div className="mt-4 p-4 border rounded bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-bold text-gray-700">Generated Clips ({clips.length})</h3>
+        <button onClick={onClear} className="text-sm text-blue-600 underline focus:outline-none">
+          Clear
+        </button>
+      </div>
+      <ul>
+        {clips.map(clip => (
+          <li key={clip.id} className={`mb-3 p-2 rounded ${clip.url === currentUrl ? 'bg-blue-50 border border-blue-200' : ''}`}>
+            <div className="text-sm text-gray-700">
+              {clip.kind === 'music' ? '🎵' : '🗣️'} <strong>{clip.text}</strong>
+            </div>
+            <div className="text-xs text-gray-500 mb-1">{clip.details}</div>
+            <audio controls src={clip.url} className="w-full" />
+            <div className="flex gap-3 mt-1 text-sm">
+              <button onClick={() => onPlay(clip)} className="text-blue-600 underline focus:outline-none">
+                Load in player
+              </button>
+              <button onClick={() => handleDownload(clip)} className="text-blue-600 underline focus:outline-none">
+                Download
+              </button>
+              <button onClick={() => onRemove(clip)} className="text-red-600 underline focus:outline-none">
+                Remove
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
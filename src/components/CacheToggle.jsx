@@ -0,0 +1,29 @@
+/**
+ * CacheToggle Component
+ * Per-message prompt cache override that cycles auto → always → never
+ *
+ * @param {Object} props
+ * @param {boolean|undefined} props.value - true always caches, false never does, undefined is automatic
+ * @param {Function} props.onChange - Called with the next value
+ * @param {boolean} [props.disabled] - Prompt caching is switched off
+ */
+const CacheToggle = ({ value, onChange, disabled }) => {
+  const STATES = {
+    auto: { label: '💾 auto', title: 'Cached automatically when the prompt is long enough', next: true },
+    on: { label: '💾 always', title: 'Always mark this message as a cache breakpoint', next: false },
+    off: { label: '💾 never', title: 'Never mark this message as a cache breakpoint', next: undefined }
+  };
+  const state = value === true ? STATES.on : value === false ? STATES.off : STATES.auto;
+
+  return (
+    <button
+      type="button"
+      onClick={() => onChange(state.next)}
+      disabled={disabled}
+      title={disabled ? 'Prompt caching is off' : state.title}
+      className={`text-xs px-2 py-px ml-2 rounded border focus:outline-none disabled:opacity-50 ${value === true ? 'bg-green-100 border-green-400' : value === false ? 'bg-gray-200 border-gray-400' : 'bg-white border-gray-300'}`}
+    >
+      {state.label}
+    </button>
+  );
+};
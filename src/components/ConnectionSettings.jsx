@@ -0,0 +1,115 @@
+/**
+ * ConnectionSettings Component
+ * Settings panel for the API base URL and extra request headers
+ *
+ * @param {Object} props
+ * @param {Object} props.settings - Active client settings { baseUrl, headers }
+ * @param {Function} props.onChange - Called with the new settings after save or reset
+ */
+const ConnectionSettings = ({ settings, onChange }) => {
+  const [open, setOpen] = React.useState(false);
+  const [baseUrl, setBaseUrl] = React.useState(settings.baseUrl);
+  const [headersText, setHeadersText] = React.useState(JSON.stringify(settings.headers, null, 2));
+  const [error, setError] = React.useState('');
+
+  const presets = window.PollinationsConstants.API.BASE_URL_PRESETS;
+
+  React.useEffect(() => {
+    setBaseUrl(settings.baseUrl);
+    setHeadersText(JSON.stringify(settings.headers, null, 2));
+  }, [settings]);
+
+  const handleSave = () => {
+    let headers = {};
+    try {
+      headers = headersText.trim() ? JSON.parse(headersText) : {};
+      if (typeof headers !== 'object' || Array.isArray(headers)) {
+        throw new Error('Headers must be a JSON object');
+      }
+    } catch (e) {
+      setError('Invalid headers JSON: ' + e.message);
+      return;
+    }
+
+    try {
+      new URL(baseUrl);
+    } catch (e) {
+      setError('Invalid base URL: ' + baseUrl);
+      return;
+    }
+
+    setError('');
+    window.PollinationsConfig.saveClientSettings({ baseUrl: baseUrl.trim(), headers });
+    onChange(window.PollinationsConfig.getClientSettings());
+  };
+
+  const handleReset = () => {
+    setError('');
+    window.PollinationsConfig.saveClientSettings(null);
+    onChange(window.PollinationsConfig.getClientSettings());
+  };
+
+  return (
+    <div className="mb-4 p-4 border rounded bg-gray-50">
+      <button
+        onClick={() => setOpen(!open)}
+        className="text-gray-700 text-sm font-bold focus:outline-none"
+      >
+        {open ? '▾' : '▸'} Connection Settings
+        <span className="font-normal text-gray-600 ml-2">({settings.baseUrl})</span>
+      </button>
+
+      {open && (
+        <div className="mt-4">
+          <label className="block text-gray-700 text-sm font-bold mb-2">
+            API Base URL
+          </label>
+          <input
+            type="text"
+            list="base-url-presets"
+            value={baseUrl}
+            onChange={(e) => setBaseUrl(e.target.value)}
+            placeholder="https://gen.pollinations.ai"
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-2"
+          />
+          <datalist id="base-url-presets">
+            {Object.keys(presets).map(label => (
+              <option key={label} value={presets[label]}>{label}</option>
+            ))}
+          </datalist>
+
+          <label className="block text-gray-700 text-sm font-bold mb-2 mt-2">
+            Extra Headers (JSON)
+          </label>
+          <textarea
+            value={headersText}
+            onChange={(e) => setHeadersText(e.target.value)}
+            rows={3}
+            placeholder='{"X-Proxy-Token": "..."}'
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 font-mono text-sm leading-tight focus:outline-none focus:shadow-outline"
+          />
+
+          {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+          <div className="flex mt-2">
+            <button
+              onClick={handleSave}
+              className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded mr-2 focus:outline-none focus:shadow-outline"
+            >
+              Save
+            </button>
+            <button
+              onClick={handleReset}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline"
+            >
+              Reset to Default
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mt-2">
+            ℹ️ Settings are stored in this browser and override <code>window.POLLINATIONS_CONFIG</code>.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,58 @@
+/**
+ * ContentBlocks Component
+ * Images (e.g. code execution plots) and search sources returned alongside a response
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.images - Image URLs, usually data URLs
+ * @param {Array<Object>} props.citations - Sources { url, title }
+ * @param {boolean} [props.compact] - Smaller thumbnails, for chat history
+ */
+const ContentBlocks = ({ images, citations, compact }) => {
+  const imageList = images || [];
+  const citationList = citations || [];
+  if (imageList.length === 0 && citationList.length === 0) {
+    return null;
+  }
+
+  const describeSource = (citation) => {
+    if (citation.title) return citation.title;
+    try {
+      return new URL(citation.url).hostname;
+    } catch (e) {
+      return citation.url;
+    }
+  };
+
+  return (
+    <div className={compact ? 'mt-1' : 'mt-4'}>
+      {imageList.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {imageList.map((url, index) => (
+            <a key={index} href={url} download={`generated-${index + 1}.png`} title="Download image">
+              <img
+                src={url}
+                alt={`Generated image ${index + 1}`}
+                className={`border rounded bg-white ${compact ? 'h-16' : 'max-w-full'}`}
+              />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {citationList.length > 0 && (
+        <div className={`${compact ? 'mt-1 text-xs' : 'mt-2 p-3 border rounded bg-gray-50 text-sm'} text-gray-700`}>
+          <span className="font-bold">🔎 Sources:</span>
+          <ol className="list-decimal list-inside">
+            {citationList.map((citation, index) => (
+              <li key={citation.url + index}>
+                <a href={citation.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline break-all">
+                  {describeSource(citation)}
+                </a>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
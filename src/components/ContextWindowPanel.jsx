@@ -0,0 +1,86 @@
+/**
+ * ContextWindowPanel Component
+ * Meter of how much of the model's context window the next request uses, and how history is trimmed
+ *
+ * @param {Object} props
+ * @param {Object} props.plan - Result of PollinationsContext.planContext for the next request
+ * @param {Object} props.settings - { strategy, maxMessages, summaryModel }
+ * @param {Function} props.onSettingsChange - Called with the changed settings
+ * @param {Array} props.models - Models that can write summaries
+ */
+const ContextWindowPanel = ({ plan, settings, onSettingsChange, models }) => {
+  const { CONTEXT } = window.PollinationsConstants;
+
+  const used = plan.tokens + plan.reserve;
+  const ratio = Math.min(1, used / plan.limit);
+  const barColor = ratio >= 1 ? 'bg-red-500' : ratio >= CONTEXT.WARNING_RATIO ? 'bg-yellow-500' : 'bg-green-500';
+  const format = (tokens) => tokens.toLocaleString();
+
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  return (
+    <div className="mb-4 p-4 border rounded bg-gray-50 text-sm">
+      <div className="flex items-center justify-between mb-1">
+        <span className="font-bold text-gray-700">Context Window</span>
+        <span className="text-gray-600" title="Estimated from text length; the model's tokenizer may count differently">
+          ~{format(plan.tokens)} prompt + {format(plan.reserve)} reserved for the answer / {format(plan.limit)} tokens
+        </span>
+      </div>
+      <div className="w-full h-2 bg-gray-200 rounded overflow-hidden">
+        <div className={`h-2 ${barColor}`} style={{ width: `${Math.round(ratio * 100)}%` }} />
+      </div>
+      {plan.dropped > 0 && (
+        <p className="mt-1 text-yellow-700">
+          {settings.strategy === 'summarize'
+            ? `${plan.dropped} older messages are sent as a summary.`
+            : `${plan.dropped} older messages are not sent (whole history ~${format(plan.historyTokens)} tokens).`}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center mt-3">
+        <label className="mr-4 mb-1">
+          Strategy{' '}
+          <select
+            value={settings.strategy}
+            onChange={(e) => update({ strategy: e.target.value })}
+            className="border rounded py-1 px-2 text-gray-700"
+          >
+            {Object.keys(CONTEXT.STRATEGIES).map(name => (
+              <option key={name} value={name}>{CONTEXT.STRATEGIES[name]}</option>
+            ))}
+          </select>
+        </label>
+        <label className="mr-4 mb-1" title="0 keeps as many messages as fit">
+          Recent messages{' '}
+          <input
+            type="number"
+            min="0"
+            value={settings.maxMessages}
+            onChange={(e) => update({ maxMessages: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+            className="border rounded py-1 px-2 w-20 text-gray-700"
+          />
+        </label>
+        {settings.strategy === 'summarize' && (
+          <label className="mr-4 mb-1">
+            Summary model{' '}
+            <select
+              value={settings.summaryModel}
+              onChange={(e) => update({ summaryModel: e.target.value })}
+              className="border rounded py-1 px-2 text-gray-700"
+            >
+              {!models.some(m => m.name === settings.summaryModel) && (
+                <option value={settings.summaryModel}>{settings.summaryModel}</option>
+              )}
+              {models.map(m => (
+                <option key={m.id || m.name} value={m.name}>{m.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      {settings.strategy === 'pinned' && (
+        <p className="mt-1 text-gray-600">Pin messages with 📌 in the history below to always send them.</p>
+      )}
+    </div>
+  );
+};
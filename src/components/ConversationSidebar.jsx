@@ -0,0 +1,138 @@
+/**
+ * ConversationSidebar Component
+ * Saved conversations: create, open, rename, pin and delete
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.conversations - Summaries from useChatHistory { id, title, pinned, updatedAt, messageCount }
+ * @param {string} props.activeId - ID of the open conversation
+ * @param {Function} props.onCreate - Start a new conversation
+ * @param {Function} props.onSwitch - Called with the ID of the conversation to open
+ * @param {Function} props.onRename - Called with (id, title)
+ * @param {Function} props.onTogglePin - Called with the ID to pin or unpin
+ * @param {Function} props.onDelete - Called with the ID to delete
+ * @param {string} [props.storageWarning] - Quota or save error to show
+ * @param {Object} [props.storageEstimate] - { usage, quota, inMemory } from the conversation store
+ * @param {boolean} [props.disabled] - A request is running, so switching is blocked
+ */
+const ConversationSidebar = ({
+  conversations,
+  activeId,
+  onCreate,
+  onSwitch,
+  onRename,
+  onTogglePin,
+  onDelete,
+  storageWarning,
+  storageEstimate,
+  disabled
+}) => {
+  const [editingId, setEditingId] = React.useState(null);
+  const [draftTitle, setDraftTitle] = React.useState('');
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title);
+  };
+
+  const finishRename = () => {
+    if (editingId) {
+      onRename(editingId, draftTitle);
+    }
+    setEditingId(null);
+  };
+
+  const confirmDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      onDelete(conversation.id);
+    }
+  };
+
+  const { formatFileSize } = window.PollinationsHelpers;
+  const usedPercent = storageEstimate && storageEstimate.quota
+    ? Math.round((storageEstimate.usage / storageEstimate.quota) * 100)
+    : null;
+
+  return (
+    <div className="p-3 border rounded bg-gray-50 text-sm">
+      <button
+        onClick={onCreate}
+        disabled={disabled}
+        className="w-full bg-blue-500 hover:bg-blue-700 text-white font-bold py-1 px-3 mb-3 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+      >
+        + New Conversation
+      </button>
+
+      {conversations.length === 0 ? (
+        <p className="text-gray-600">Conversations are saved here once Chat Memory is on.</p>
+      ) : (
+        <ul>
+          {conversations.map(conversation => (
+            <li
+              key={conversation.id}
+              className={`flex items-center mb-1 px-2 py-1 rounded ${conversation.id === activeId ? 'bg-blue-100' : 'hover:bg-gray-200'}`}
+            >
+              {editingId === conversation.id ? (
+                <input
+                  type="text"
+                  value={draftTitle}
+                  autoFocus
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onBlur={finishRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') finishRename();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                  className="shadow appearance-none border rounded w-full py-1 px-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                />
+              ) : (
+                <button
+                  onClick={() => onSwitch(conversation.id)}
+                  onDoubleClick={() => startRename(conversation)}
+                  disabled={disabled && conversation.id !== activeId}
+                  title={`${conversation.messageCount} messages · ${new Date(conversation.updatedAt).toLocaleString()}`}
+                  className="flex-1 text-left truncate focus:outline-none disabled:opacity-50"
+                >
+                  {conversation.pinned && '📌 '}{conversation.title}
+                </button>
+              )}
+              <button
+                onClick={() => onTogglePin(conversation.id)}
+                title={conversation.pinned ? 'Unpin' : 'Pin to top'}
+                className={`ml-1 focus:outline-none ${conversation.pinned ? '' : 'opacity-50 hover:opacity-100'}`}
+              >
+                📌
+              </button>
+              <button
+                onClick={() => startRename(conversation)}
+                title="Rename"
+                className="ml-1 opacity-50 hover:opacity-100 focus:outline-none"
+              >
+                ✏️
+              </button>
+              <button
+                onClick={() => confirmDelete(conversation)}
+                disabled={disabled && conversation.id === activeId}
+                title="Delete"
+                className="ml-1 opacity-50 hover:opacity-100 focus:outline-none disabled:opacity-25"
+              >
+                🗑️
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {storageWarning && (
+        <p className="mt-3 text-red-600">⚠️ {storageWarning}</p>
+      )}
+      {storageEstimate && storageEstimate.inMemory && (
+        <p className="mt-3 text-yellow-700">⚠️ Browser storage is unavailable; conversations will be lost on reload.</p>
+      )}
+      {usedPercent !== null && (
+        <p className={`mt-3 text-xs ${usedPercent >= 90 ? 'text-red-600' : 'text-gray-600'}`}>
+          Storage: {formatFileSize(storageEstimate.usage)} of {formatFileSize(storageEstimate.quota)} ({usedPercent}%)
+        </p>
+      )}
+    </div>
+  );
+};
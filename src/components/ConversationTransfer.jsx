@@ -0,0 +1,79 @@
+/**
+ * ConversationTransfer Component
+ * Export conversations as JSON, Markdown or chat JSONL, and import them from a file
+ *
+ * @param {Object} props
+ * @param {Function} props.onExport - Called with (format, scope), scope being 'current' or 'all'
+ * @param {Function} props.onImport - Called with the chosen File; resolves to a status message
+ * @param {boolean} [props.disabled] - A request is running
+ */
+const ConversationTransfer = ({ onExport, onImport, disabled }) => {
+  const { CONVERSATIONS } = window.PollinationsConstants;
+  const [format, setFormat] = React.useState('json');
+  const [scope, setScope] = React.useState('current');
+  const [status, setStatus] = React.useState('');
+  const [busy, setBusy] = React.useState(false);
+  const fileInputRef = React.useRef(null);
+
+  const handleExport = async () => {
+    setBusy(true);
+    setStatus(await onExport(format, scope));
+    setBusy(false);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    setStatus(await onImport(file));
+    setBusy(false);
+  };
+
+  return (
+    <div className="mt-3 p-3 border rounded bg-gray-50 text-sm">
+      <div className="flex flex-wrap items-center">
+        <select
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+          className="border rounded py-1 px-2 mr-2 mb-2 text-gray-700"
+        >
+          <option value="current">This conversation</option>
+          <option value="all">All conversations</option>
+        </select>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="border rounded py-1 px-2 mr-2 mb-2 text-gray-700"
+        >
+          {Object.keys(CONVERSATIONS.EXPORT_FORMATS).map(name => (
+            <option key={name} value={name}>{CONVERSATIONS.EXPORT_FORMATS[name]}</option>
+          ))}
+        </select>
+      </div>
+      <button
+        onClick={handleExport}
+        disabled={disabled || busy}
+        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 mr-2 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+      >
+        Export
+      </button>
+      <button
+        onClick={() => fileInputRef.current.click()}
+        disabled={disabled || busy}
+        title="JSON exported from this app, or chat JSONL"
+        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+      >
+        Import
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.jsonl,application/json"
+        onChange={handleFile}
+        className="hidden"
+      />
+      {status && <p className="mt-2 text-gray-700 whitespace-pre-wrap">{status}</p>}
+    </div>
+  );
+};
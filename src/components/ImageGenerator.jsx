@@ -0,0 +1,316 @@
+/**
+ * ImageGenerator Component
+ * Image and video generation with /image/{prompt}, with a gallery of results
+ *
+ * @param {Object} props
+ * @param {string} props.apiKey - API key for the image endpoints
+ * @param {Function} props.onSendToVision - Called with (dataUrl, name) to analyze an image in the Vision tab
+ */
+const ImageGenerator = ({ apiKey, onSendToVision }) => {
+  const { IMAGE_PARAMETERS, DEFAULT_IMAGE_MODEL } = window.PollinationsConstants;
+  const MAX_SEED = IMAGE_PARAMETERS.seed.max;
+
+  const defaultParams = () => {
+    const params = {};
+    Object.keys(IMAGE_PARAMETERS).forEach(name => {
+      params[name] = IMAGE_PARAMETERS[name].default;
+    });
+    return params;
+  };
+
+  const [models, setModels] = React.useState([]);
+  const [model, setModel] = React.useState(DEFAULT_IMAGE_MODEL);
+  const [prompt, setPrompt] = React.useState('');
+  const [params, setParams] = React.useState(defaultParams);
+  const [gallery, setGallery] = React.useState([]);
+  const [loading, setLoading] = React.useState(false);
+  const [error, setError] = React.useState('');
+  const abortControllerRef = React.useRef(null);
+  const galleryRef = React.useRef(gallery);
+  galleryRef.current = gallery;
+
+  React.useEffect(() => {
+    const controller = new AbortController();
+    window.PollinationsAPI.fetchImageModels(apiKey, { signal: controller.signal })
+      .then(list => setModels(list))
+      .catch(err => {
+        if (!window.PollinationsAPI.isAbortError(err)) {
+          console.warn('Failed to load image models, using the default:', err);
+        }
+      });
+    return () => controller.abort();
+  }, [apiKey]);
+
+  // Release object URLs when the component goes away
+  React.useEffect(() => () => {
+    galleryRef.current.forEach(item => URL.revokeObjectURL(item.url));
+  }, []);
+
+  const isSupported = (name, modelName) => {
+    const rule = IMAGE_PARAMETERS[name].models;
+    return !rule || rule.includes(modelName);
+  };
+
+  const setParam = (name, value) => {
+    setParams(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Request one image and add it to the front of the gallery
+   * @param {string} text - Prompt
+   * @param {Object} requestParams - Query parameters including model and seed
+   */
+  const runGeneration = async (text, requestParams) => {
+    abortControllerRef.current = new AbortController();
+    setLoading(true);
+    setError('');
+
+    try {
+      const blob = await window.PollinationsAPI.generateImage({
+        apiKey,
+        prompt: text,
+        params: requestParams,
+        signal: abortControllerRef.current.signal
+      });
+      const item = {
+        id: Date.now(),
+        prompt: text,
+        params: requestParams,
+        blob,
+        url: URL.createObjectURL(blob),
+        video: blob.type.indexOf('video') === 0
+      };
+      setGallery(prev => [item, ...prev]);
+    } catch (err) {
+      if (!window.PollinationsAPI.isAbortError(err)) {
+        setError(window.PollinationsHelpers.formatApiError(err));
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  const handleGenerate = () => {
+    if (!prompt.trim()) return;
+
+    // Pick a seed when none is set so every result can be reproduced
+    const seed = params.seed === null || params.seed === ''
+      ? Math.floor(Math.random() * MAX_SEED)
+      : params.seed;
+
+    const requestParams = { model };
+    Object.keys(IMAGE_PARAMETERS).forEach(name => {
+      if (isSupported(name, model)) requestParams[name] = params[name];
+    });
+    requestParams.seed = seed;
+
+    runGeneration(prompt.trim(), requestParams);
+  };
+
+  const handleStop = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+
+  const handleDownload = (item) => {
+    const extension = (item.blob.type.split('/')[1] || 'jpeg').replace('jpeg', 'jpg');
+    window.PollinationsHelpers.downloadFile(
+      item.blob,
+      `pollinations-${item.params.model}-${item.params.seed}.${extension}`,
+      item.blob.type
+    );
+  };
+
+  const handleSendToVision = async (item) => {
+    const dataUrl = await window.PollinationsHelpers.blobToDataURL(item.blob);
+    onSendToVision(dataUrl, `${item.params.model}-${item.params.seed}`);
+  };
+
+  const handleRemove = (item) => {
+    URL.revokeObjectURL(item.url);
+    setGallery(prev => prev.filter(entry => entry.id !== item.id));
+  };
+
+  const renderParameter = (name) => {
+    const definition = IMAGE_PARAMETERS[name];
+    const value = params[name];
+    const inputClass = 'shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline';
+
+    if (definition.type === 'boolean') {
+      return (
+        <label key={name} className="inline-flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => setParam(name, e.target.checked)}
+            className="mr-2"
+          />
+          {definition.label}
+        </label>
+      );
+    }
+
+    let input;
+    if (definition.type === 'select') {
+      input = (
+        <select value={value} onChange={(e) => setParam(name, e.target.value)} className={inputClass}>
+          {definition.options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      );
+    } else if (definition.type === 'integer') {
+      input = (
+        <input
+          type="number"
+          min={definition.min}
+          max={definition.max}
+          step={definition.step || 1}
+          value={value === null ? '' : value}
+          placeholder={name === 'seed' ? 'random' : ''}
+          onChange={(e) => setParam(name, e.target.value === '' ? null : parseInt(e.target.value, 10))}
+          className={inputClass}
+        />
+      );
+    } else {
+      input = (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setParam(name, e.target.value)}
+          className={inputClass}
+        />
+      );
+    }
+
+    return (
+      <div key={name}>
+        <label className="block text-gray-700 text-sm font-bold mb-1">{definition.label}</label>
+        {input}
+      </div>
+    );
+  };
+
+  const visibleParams = Object.keys(IMAGE_PARAMETERS).filter(name => isSupported(name, model));
+  const modelOptions = models.length > 0 ? models : [{ id: DEFAULT_IMAGE_MODEL, name: DEFAULT_IMAGE_MODEL, description: '' }];
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="block text-gray-700 text-sm font-bold mb-2">
+          Model
+        </label>
+        <select
+          value={model}
+          onChange={(e) => setModel(e.target.value)}
+          className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+        >
+          {modelOptions.map(m => (
+            <option key={m.id} value={m.id}>
+              {m.name}{m.description ? ` - ${m.description}` : ''}{m.video ? ' (video)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-gray-700 text-sm font-bold mb-2">
+          Prompt
+        </label>
+        <textarea
+          value={prompt}
+          onChange={(e) => setPrompt(e.target.value)}
+          placeholder="Describe the image you want"
+          className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+          rows="3"
+        />
+      </div>
+
+      <div className="mb-4 p-4 border rounded bg-gray-50">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-3">
+          {visibleParams.filter(name => IMAGE_PARAMETERS[name].type !== 'boolean').map(renderParameter)}
+        </div>
+        <div className="flex flex-wrap gap-4">
+          {visibleParams.filter(name => IMAGE_PARAMETERS[name].type === 'boolean').map(renderParameter)}
+        </div>
+        <button
+          onClick={() => setParams(defaultParams())}
+          className="text-sm text-blue-600 underline mt-3 focus:outline-none"
+        >
+          Reset parameters
+        </button>
+      </div>
+
+      <div className="flex items-center mb-4">
+        <button
+          onClick={handleGenerate}
+          disabled={loading || !prompt.trim()}
+          className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+        >
+          {loading ? 'Generating...' : 'Generate Image'}
+        </button>
+        {loading && (
+          <button
+            onClick={handleStop}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline ml-2"
+          >
+            Stop
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {gallery.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {gallery.map(item => (
+            <div key={item.id} className="border rounded p-2 bg-gray-50">
+              {item.video ? (
+                <video src={item.url} controls className="w-full rounded" />
+              ) : (
+                <img src={item.url} alt={item.prompt} className="w-full rounded" />
+              )}
+              <p className="text-sm text-gray-700 mt-2 break-words">{item.prompt}</p>
+              <p className="text-xs text-gray-500">
+                {item.params.model} · {item.params.width}×{item.params.height} · seed {item.params.seed}
+              </p>
+              <div className="flex flex-wrap gap-2 mt-2">
+                <button
+                  onClick={() => handleDownload(item)}
+                  className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline text-sm"
+                >
+                  Download
+                </button>
+                <button
+                  onClick={() => runGeneration(item.prompt, item.params)}
+                  disabled={loading}
+                  className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline text-sm disabled:opacity-50"
+                >
+                  Re-run same seed
+                </button>
+                {!item.video && (
+                  <button
+                    onClick={() => handleSendToVision(item)}
+                    className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline text-sm"
+                  >
+                    Send to Vision
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRemove(item)}
+                  className="text-sm text-red-600 underline focus:outline-none"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
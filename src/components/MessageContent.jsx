@@ -0,0 +1,40 @@
+/**
+ * MessageContent Component
+ * A chat history message: text, image thumbnails and audio players
+ *
+ * @param {Object} props
+ * @param {string|Array<Object>} props.content - Message content, either text or parts
+ *   ({ type: 'text' | 'image_url' | 'input_audio' })
+ * @param {string} [props.audio] - Data URL of a spoken answer
+ */
+const MessageContent = ({ content, audio }) => {
+  const parts = Array.isArray(content) ? content : [{ type: 'text', text: content || '' }];
+  const texts = parts.filter(part => part.type === 'text');
+  const images = parts.filter(part => part.type === 'image_url' && part.image_url);
+  const recordings = parts.filter(part => part.type === 'input_audio' && part.input_audio);
+
+  return (
+    <React.Fragment>
+      {texts.map(part => part.text).join('\n')}
+      {images.length > 0 && (
+        <div className="ml-6 mt-1 flex flex-wrap gap-2">
+          {images.map((part, index) => (
+            <a key={index} href={part.image_url.url} target="_blank" rel="noopener noreferrer" title="Open image">
+              <img src={part.image_url.url} alt={`Attached image ${index + 1}`} className="h-16 border rounded bg-white" />
+            </a>
+          ))}
+        </div>
+      )}
+      {recordings.map((part, index) => (
+        <div key={index} className="ml-6 mt-1">
+          <audio controls src={`data:audio/${part.input_audio.format || 'wav'};base64,${part.input_audio.data}`} />
+        </div>
+      ))}
+      {audio && (
+        <div className="ml-6 mt-1">
+          <audio controls src={audio} />
+        </div>
+      )}
+    </React.Fragment>
+  );
+};
@@ -0,0 +1,227 @@
+/**
+ * ModelComparison Component
+ * Streams one prompt to several models in parallel and shows the answers side by side
+ *
+ * @param {Object} props
+ * @param {Array} props.models - Models from useModelSelection
+ * @param {string} props.apiKey - API key
+ * @param {string} props.prompt - Prompt sent to every model
+ * @param {string} props.systemPrompt - System prompt sent to every model
+ * @param {Object} props.parameters - Sampling parameters; unsupported ones are dropped per model
+ */
+const ModelComparison = ({ models, apiKey, prompt, systemPrompt, parameters }) => {
+  const { COMPARE } = window.PollinationsConstants;
+  const Usage = window.PollinationsUsage;
+  const Comparison = window.PollinationsComparison;
+
+  const [selected, setSelected] = React.useState([]);
+  const [columns, setColumns] = React.useState([]);
+  const [winner, setWinner] = React.useState(null);
+  const [runPrompt, setRunPrompt] = React.useState('');
+  const [running, setRunning] = React.useState(false);
+  const [saved, setSaved] = React.useState(() => Comparison.loadSavedResults());
+  const abortControllerRef = React.useRef(null);
+  const mountedRef = React.useRef(true);
+
+  // Stop a running comparison when the tab is left; updates that still come in are dropped
+  React.useEffect(() => () => {
+    mountedRef.current = false;
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }, []);
+
+  const persistSaved = (results) => {
+    setSaved(results);
+    Comparison.saveResults(results);
+  };
+
+  const toggleModel = (name) => {
+    if (selected.includes(name)) {
+      setSelected(selected.filter(entry => entry !== name));
+    } else if (selected.length < COMPARE.MAX_MODELS) {
+      setSelected([...selected, name]);
+    }
+  };
+
+  const updateColumn = (index, changes) => {
+    if (!mountedRef.current) return;
+    setColumns(prev => prev.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+  };
+
+  const runComparison = async () => {
+    if (!prompt.trim() || selected.length === 0) return;
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setRunning(true);
+    setWinner(null);
+    setRunPrompt(prompt);
+    setColumns(selected.map(Comparison.createColumn));
+
+    await Comparison.compareModels({
+      models: selected,
+      modelInfos: models,
+      apiKey,
+      prompt,
+      systemPrompt,
+      parameters,
+      signal: controller.signal,
+      onUpdate: updateColumn
+    });
+
+    abortControllerRef.current = null;
+    if (mountedRef.current) {
+      setRunning(false);
+    }
+  };
+
+  const stopComparison = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+
+  const saveResult = () => {
+    persistSaved([Comparison.toSavedResult({ prompt: runPrompt, systemPrompt, winner, columns }), ...saved]);
+  };
+
+  const formatMs = (ms) => (ms == null ? '—' : `${(ms / 1000).toFixed(2)}s`);
+
+  return (
+    <div className="mb-4 p-4 border rounded bg-gray-50">
+      <label className="block text-gray-700 text-sm font-bold mb-2">
+        Models to compare (up to {COMPARE.MAX_MODELS})
+      </label>
+      <div className="flex flex-wrap mb-3">
+        {models.map(m => (
+          <label
+            key={m.id || m.name}
+            className={`inline-flex items-center mr-4 mb-1 text-sm ${!selected.includes(m.name) && selected.length >= COMPARE.MAX_MODELS ? 'opacity-50' : ''}`}
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(m.name)}
+              disabled={running || (!selected.includes(m.name) && selected.length >= COMPARE.MAX_MODELS)}
+              onChange={() => toggleModel(m.name)}
+              className="mr-1"
+            />
+            {m.name}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex items-center mb-4">
+        <button
+          onClick={runComparison}
+          disabled={running || selected.length < 2 || !prompt.trim()}
+          className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+        >
+          {running ? 'Comparing...' : `Compare ${selected.length} Models`}
+        </button>
+        {running && (
+          <button
+            onClick={stopComparison}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline ml-2"
+          >
+            Stop
+          </button>
+        )}
+        {!running && columns.length > 0 && (
+          <button
+            onClick={saveResult}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline ml-2"
+          >
+            Save Result
+          </button>
+        )}
+      </div>
+
+      {columns.length > 0 && (
+        <div className="overflow-x-auto">
+          <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(16rem, 1fr))` }}>
+            {columns.map((column, index) => (
+              <div
+                key={column.model}
+                className={`p-3 border rounded bg-white flex flex-col ${winner === column.model ? 'border-green-500 border-2' : ''}`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <strong>{column.model}</strong>
+                  <label className="inline-flex items-center text-sm">
+                    <input
+                      type="radio"
+                      name="compareWinner"
+                      checked={winner === column.model}
+                      disabled={running}
+                      onChange={() => setWinner(column.model)}
+                      className="mr-1"
+                    />
+                    🏆 Winner
+                  </label>
+                </div>
+
+                <div className="text-xs text-gray-600 mb-2">
+                  First token {formatMs(column.ttftMs)} · Total {formatMs(column.latencyMs)}
+                  <br />
+                  {column.usage ? `${column.usage.totalTokens} tokens` : 'usage unknown'}
+                  {' · '}{Usage.formatCost(column.cost)}
+                </div>
+
+                {column.status === 'error' ? (
+                  <p className="text-sm text-red-600 flex-1">⚠️ {column.error}</p>
+                ) : (
+                  <pre className="whitespace-pre-wrap text-sm flex-1">
+                    {column.text || (column.status === 'running' ? '⏳ Waiting for first token...' : '')}
+                    {column.status === 'stopped' && '\n⏹ Stopped.'}
+                  </pre>
+                )}
+
+                <textarea
+                  value={column.notes}
+                  onChange={(e) => updateColumn(index, { notes: e.target.value })}
+                  placeholder="Notes"
+                  rows="2"
+                  className="shadow appearance-none border rounded w-full py-1 px-2 mt-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {saved.length > 0 && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="text-sm font-bold text-gray-700">Saved Comparisons ({saved.length})</h3>
+            <div className="text-sm">
+              <button
+                onClick={() => window.PollinationsHelpers.downloadFile(JSON.stringify(saved, null, 2), 'model-comparisons.json', 'application/json')}
+                className="text-blue-600 underline focus:outline-none mr-3"
+              >
+                Download JSON
+              </button>
+              <button
+                onClick={() => window.confirm('Delete all saved comparisons?') && persistSaved([])}
+                className="text-red-600 underline focus:outline-none"
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+          <table className="w-full text-sm text-left">
+            <tbody>
+              {saved.map(result => (
+                <tr key={result.timestamp} className="border-b">
+                  <td className="py-1 pr-2 whitespace-nowrap">{new Date(result.timestamp).toLocaleString()}</td>
+                  <td className="py-1 pr-2">{result.prompt}</td>
+                  <td className="py-1 pr-2 whitespace-nowrap">{result.columns.map(column => column.model).join(' vs ')}</td>
+                  <td className="py-1 whitespace-nowrap">{result.winner ? `🏆 ${result.winner}` : 'no winner'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,63 @@
+/**
+ * ReasoningControls Component
+ * Reasoning effort and extended thinking options for reasoning models
+ *
+ * @param {Object} props
+ * @param {Object} props.options - { effort, thinking, budget }
+ * @param {Function} props.onChange - Called with the updated options
+ * @param {Object} props.modelInfo - Selected model info from fetchModels
+ */
+const ReasoningControls = ({ options, onChange, modelInfo }) => {
+  if (!modelInfo || !modelInfo.reasoning) {
+    return null;
+  }
+
+  const { EFFORT_LEVELS, MIN_BUDGET, MAX_BUDGET } = window.PollinationsConstants.REASONING;
+  const update = (changes) => onChange({ ...options, ...changes });
+
+  return (
+    <div className="mb-4 p-4 border rounded bg-gray-50 flex flex-wrap items-center">
+      <label className="text-gray-700 text-sm font-bold mr-2">
+        Reasoning effort:
+      </label>
+      <select
+        value={options.effort}
+        onChange={(e) => update({ effort: e.target.value })}
+        className="shadow-sm appearance-none border rounded py-1 px-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mr-6"
+      >
+        <option value="">Model default</option>
+        {EFFORT_LEVELS.map(level => (
+          <option key={level} value={level}>{level}</option>
+        ))}
+      </select>
+
+      <label className="inline-flex items-center mr-2">
+        <input
+          type="checkbox"
+          checked={options.thinking}
+          onChange={() => update({ thinking: !options.thinking })}
+          className="mr-2"
+        />
+        Extended thinking
+      </label>
+      {options.thinking && (
+        <label className="inline-flex items-center text-sm text-gray-700">
+          budget
+          <input
+            type="number"
+            min={MIN_BUDGET}
+            max={MAX_BUDGET}
+            step={256}
+            value={options.budget}
+            onChange={(e) => {
+              const budget = parseInt(e.target.value, 10);
+              if (!isNaN(budget)) update({ budget: Math.min(MAX_BUDGET, Math.max(MIN_BUDGET, budget)) });
+            }}
+            className="shadow appearance-none border rounded w-24 py-1 px-2 text-gray-700 mx-2"
+          />
+          tokens
+        </label>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,57 @@
+/**
+ * SeedControl Component
+ * Shows the request seed, lets the user edit or lock it, or roll a new one
+ *
+ * @param {Object} props
+ * @param {number|null} props.seed - Seed of the last request, or the one to reuse when locked
+ * @param {boolean} props.locked - Reuse the seed for every request instead of picking a new one
+ * @param {Function} props.onSeedChange - Called with the new seed (number or null)
+ * @param {Function} props.onLockedChange - Called with the new locked state
+ */
+const SeedControl = ({ seed, locked, onSeedChange, onLockedChange }) => {
+  // Typing a seed only makes sense if it is kept, so editing locks it
+  const handleInput = (value) => {
+    const parsed = parseInt(value, 10);
+    onSeedChange(Number.isNaN(parsed) ? null : Math.max(0, parsed));
+    if (!Number.isNaN(parsed)) onLockedChange(true);
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 text-sm font-bold mb-2">
+        Seed
+      </label>
+      <div className="flex items-center">
+        <input
+          type="number"
+          min="0"
+          value={seed === null ? '' : seed}
+          placeholder="random"
+          onChange={(e) => handleInput(e.target.value)}
+          className="shadow appearance-none border rounded w-40 py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+        />
+        <button
+          onClick={() => onSeedChange(window.PollinationsHelpers.generateSeed())}
+          title="Pick a new random seed"
+          className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline ml-2"
+        >
+          🎲
+        </button>
+        <label className="inline-flex items-center ml-4 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={locked}
+            onChange={() => onLockedChange(!locked)}
+            className="mr-2"
+          />
+          🔒 Lock seed
+        </label>
+      </div>
+      <p className="text-xs text-gray-600 mt-1">
+        {locked
+          ? 'Every request reuses this seed, so the same prompt and settings give the same answer.'
+          : 'Each request picks a new random seed and shows it here.'}
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,136 @@
+/**
+ * StructuredOutputPanel Component
+ * Toggle for structured JSON output with a JSON Schema editor and field builder
+ *
+ * @param {Object} props
+ * @param {boolean} props.enabled - Whether structured output is on
+ * @param {Function} props.onToggle - Toggle structured output
+ * @param {string} props.schemaText - JSON Schema source (empty for any JSON object)
+ * @param {Function} props.onSchemaTextChange - Called with the new schema source
+ */
+const StructuredOutputPanel = ({ enabled, onToggle, schemaText, onSchemaTextChange }) => {
+  const [fields, setFields] = React.useState([{ name: '', type: 'string', required: true, description: '' }]);
+  const [showBuilder, setShowBuilder] = React.useState(false);
+
+  let schemaError = '';
+  if (schemaText.trim()) {
+    try {
+      const schema = JSON.parse(schemaText);
+      if (typeof schema !== 'object' || Array.isArray(schema) || schema === null) {
+        schemaError = 'Schema must be a JSON object';
+      }
+    } catch (e) {
+      schemaError = e.message;
+    }
+  }
+
+  const updateField = (index, changes) => {
+    setFields(prev => prev.map((field, i) => (i === index ? { ...field, ...changes } : field)));
+  };
+
+  const applyFields = () => {
+    const schema = window.PollinationsJSONSchema.buildSchemaFromFields(fields);
+    onSchemaTextChange(JSON.stringify(schema, null, 2));
+  };
+
+  return (
+    <div className="mb-4 p-4 border rounded bg-gray-50">
+      <label className="inline-flex items-center text-gray-700 text-sm font-bold">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={onToggle}
+          className="mr-2"
+        />
+        Structured output (JSON)
+      </label>
+
+      {enabled && (
+        <div className="mt-4">
+          <label className="block text-gray-700 text-sm font-bold mb-2">
+            JSON Schema
+          </label>
+          <textarea
+            value={schemaText}
+            onChange={(e) => onSchemaTextChange(e.target.value)}
+            rows={8}
+            placeholder="Paste a JSON Schema, or leave empty for any JSON object"
+            className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 font-mono text-sm leading-tight focus:outline-none focus:shadow-outline ${schemaError ? 'border-red-500' : ''}`}
+          />
+          {schemaError && <p className="text-sm text-red-600">Invalid schema: {schemaError}</p>}
+
+          <button
+            onClick={() => setShowBuilder(!showBuilder)}
+            className="text-sm text-blue-600 underline mt-2 focus:outline-none"
+          >
+            {showBuilder ? 'Hide schema builder' : 'Build a schema from fields'}
+          </button>
+
+          {showBuilder && (
+            <div className="mt-2">
+              {fields.map((field, index) => (
+                <div key={index} className="flex items-center mb-2">
+                  <input
+                    type="text"
+                    value={field.name}
+                    onChange={(e) => updateField(index, { name: e.target.value })}
+                    placeholder="Field name"
+                    className="shadow appearance-none border rounded py-1 px-2 text-gray-700 mr-2 w-40"
+                  />
+                  <select
+                    value={field.type}
+                    onChange={(e) => updateField(index, { type: e.target.value })}
+                    className="shadow border rounded py-1 px-2 text-gray-700 mr-2"
+                  >
+                    <option value="string">string</option>
+                    <option value="number">number</option>
+                    <option value="integer">integer</option>
+                    <option value="boolean">boolean</option>
+                    <option value="array">array of strings</option>
+                  </select>
+                  <input
+                    type="text"
+                    value={field.description}
+                    onChange={(e) => updateField(index, { description: e.target.value })}
+                    placeholder="Description (optional)"
+                    className="shadow appearance-none border rounded py-1 px-2 text-gray-700 mr-2 flex-grow"
+                  />
+                  <label className="inline-flex items-center text-sm mr-2">
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={() => updateField(index, { required: !field.required })}
+                      className="mr-1"
+                    />
+                    Required
+                  </label>
+                  <button
+                    onClick={() => setFields(prev => prev.filter((_, i) => i !== index))}
+                    className="text-red-500 hover:text-red-700 focus:outline-none"
+                    title="Remove field"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <div className="flex">
+                <button
+                  onClick={() => setFields(prev => [...prev, { name: '', type: 'string', required: true, description: '' }])}
+                  className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded mr-2 focus:outline-none focus:shadow-outline"
+                >
+                  Add Field
+                </button>
+                <button
+                  onClick={applyFields}
+                  className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline"
+                >
+                  Use as Schema
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,105 @@
+/**
+ * StructuredResult Component
+ * Live view of structured JSON output with schema errors highlighted
+ *
+ * @param {Object} props
+ * @param {Object} props.result - { value, errors, parseError, complete }
+ */
+const StructuredResult = ({ result }) => {
+  const errorsByPath = {};
+  result.errors.forEach(error => {
+    errorsByPath[error.path] = (errorsByPath[error.path] || []).concat(error.message);
+  });
+
+  const renderValue = (value, path, indent) => {
+    const pad = '  '.repeat(indent);
+    const hasError = errorsByPath[path];
+    const className = hasError ? 'bg-red-100 text-red-800' : '';
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return <span className={className}>[]</span>;
+      return (
+        <span className={className}>
+          {'[\n'}
+          {value.map((item, i) => (
+            <span key={i}>
+              {pad}  {renderValue(item, `${path}[${i}]`, indent + 1)}{i < value.length - 1 ? ',' : ''}{'\n'}
+            </span>
+          ))}
+          {pad}]
+        </span>
+      );
+    }
+
+    if (value !== null && typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 0) return <span className={className}>{'{}'}</span>;
+      return (
+        <span className={className}>
+          {'{\n'}
+          {keys.map((key, i) => {
+            const keyPath = `${path}.${key}`;
+            return (
+              <span key={key}>
+                {pad}  <span className={errorsByPath[keyPath] ? 'bg-red-100 text-red-800' : 'text-purple-700'} title={(errorsByPath[keyPath] || []).join('\n')}>
+                  {JSON.stringify(key)}
+                </span>: {renderValue(value[key], keyPath, indent + 1)}{i < keys.length - 1 ? ',' : ''}{'\n'}
+              </span>
+            );
+          })}
+          {pad}{'}'}
+        </span>
+      );
+    }
+
+    return <span className={className} title={(hasError || []).join('\n')}>{JSON.stringify(value)}</span>;
+  };
+
+  const handleDownload = () => {
+    window.PollinationsHelpers.downloadFile(
+      JSON.stringify(result.value, null, 2),
+      `structured-output-${Date.now()}.json`,
+      'application/json'
+    );
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-gray-100 rounded">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-bold text-gray-700">
+          {!result.complete
+            ? '⏳ Receiving JSON...'
+            : result.parseError
+              ? '⚠️ Output is not valid JSON'
+              : result.errors.length > 0
+                ? `⚠️ ${result.errors.length} schema error${result.errors.length > 1 ? 's' : ''}`
+                : '✅ Valid JSON'}
+        </span>
+        {result.complete && result.value !== undefined && (
+          <button
+            onClick={handleDownload}
+            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline"
+          >
+            Download JSON
+          </button>
+        )}
+      </div>
+
+      {result.value !== undefined && (
+        <pre className="whitespace-pre-wrap font-mono text-sm">{renderValue(result.value, '$', 0)}</pre>
+      )}
+
+      {result.complete && result.parseError && (
+        <p className="text-sm text-red-600 mt-2">{result.parseError}</p>
+      )}
+
+      {result.complete && result.errors.length > 0 && (
+        <ul className="text-sm text-red-600 mt-2 list-disc list-inside">
+          {result.errors.map((error, i) => (
+            <li key={i}><code>{error.path}</code>: {error.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,30 @@
+/**
+ * ThinkingPane Component
+ * Collapsible view of the model's reasoning, kept apart from the answer
+ *
+ * @param {Object} props
+ * @param {string} props.text - Reasoning text received so far
+ * @param {boolean} props.active - Whether reasoning is still streaming in
+ */
+const ThinkingPane = ({ text, active }) => {
+  const [open, setOpen] = React.useState(false);
+
+  if (!text) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 border border-purple-200 rounded bg-purple-50">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full text-left px-4 py-2 text-sm font-bold text-purple-800 focus:outline-none"
+      >
+        {open ? '▾' : '▸'} {active ? '💭 Thinking...' : '💭 Thinking'}
+        <span className="font-normal text-purple-600 ml-2">({text.length} characters)</span>
+      </button>
+      {open && (
+        <pre className="whitespace-pre-wrap text-sm text-purple-900 px-4 pb-4">{text}</pre>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,89 @@
+/**
+ * TokenHeatmap Component
+ * Generated tokens colored by model confidence, with the top alternatives on hover
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.tokens - Tokens from 'logprobs' events { token, logprob, top: [{ token, logprob }] }
+ */
+const TokenHeatmap = ({ tokens }) => {
+  const [hovered, setHovered] = React.useState(null);
+  const [open, setOpen] = React.useState(true);
+
+  if (!tokens || tokens.length === 0) {
+    return null;
+  }
+
+  const LOW_CONFIDENCE = 0.5;
+
+  const toProbability = (logprob) => (typeof logprob === 'number' ? Math.exp(logprob) : 0);
+  const formatProbability = (logprob) => `${(toProbability(logprob) * 100).toFixed(1)}%`;
+
+  // Red (guessing) through yellow to green (confident)
+  const colorFor = (logprob) => `hsl(${Math.round(toProbability(logprob) * 120)}, 85%, 82%)`;
+
+  // Make whitespace-only tokens visible in the popover
+  const showToken = (token) => JSON.stringify(token);
+
+  const lowCount = tokens.filter(entry => toProbability(entry.logprob) < LOW_CONFIDENCE).length;
+  const average = tokens.reduce((sum, entry) => sum + toProbability(entry.logprob), 0) / tokens.length;
+
+  return (
+    <div className="mt-4 p-4 border rounded bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <button onClick={() => setOpen(!open)} className="text-sm font-bold text-gray-700 focus:outline-none">
+          {open ? '▾' : '▸'} Token Probabilities
+        </button>
+        <span className="text-xs text-gray-600">
+          {tokens.length} tokens · average {(average * 100).toFixed(1)}% · {lowCount} below {LOW_CONFIDENCE * 100}%
+        </span>
+      </div>
+
+      {open && (
+        <div>
+          <div className="whitespace-pre-wrap font-mono text-sm leading-relaxed">
+            {tokens.map((entry, index) => (
+              <span
+                key={index}
+                className="relative rounded-sm cursor-default"
+                style={{ backgroundColor: colorFor(entry.logprob) }}
+                onMouseEnter={() => setHovered(index)}
+                onMouseLeave={() => setHovered(null)}
+              >
+                {entry.token}
+                {hovered === index && (
+                  <span className="absolute left-0 top-full mt-1 z-10 p-2 bg-white border rounded shadow-lg text-xs whitespace-nowrap">
+                    <span className="block font-bold mb-1">
+                      {showToken(entry.token)} · {formatProbability(entry.logprob)}
+                    </span>
+                    {entry.top.length > 0 ? (
+                      <table>
+                        <tbody>
+                          {entry.top.map((alt, i) => (
+                            <tr key={i} className={alt.token === entry.token ? 'font-bold' : ''}>
+                              <td className="pr-3">{showToken(alt.token)}</td>
+                              <td className="text-right">{formatProbability(alt.logprob)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <span className="block text-gray-500">No alternatives returned</span>
+                    )}
+                  </span>
+                )}
+              </span>
+            ))}
+          </div>
+          <div className="flex items-center mt-3 text-xs text-gray-600">
+            <span className="mr-2">Confidence:</span>
+            {[0.1, 0.3, 0.5, 0.7, 0.9].map(p => (
+              <span key={p} className="px-2 mr-1 rounded-sm" style={{ backgroundColor: colorFor(Math.log(p)) }}>
+                {p * 100}%
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,32 @@
+/**
+ * ToolSteps Component
+ * Tool calls made while answering and what each one returned, kept apart from the answer
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.steps - Calls { name, arguments, content, error, done }
+ * @param {boolean} [props.compact] - Smaller text, for chat history
+ */
+const ToolSteps = ({ steps, compact }) => {
+  if (!steps || steps.length === 0) {
+    return null;
+  }
+
+  return (
+    <ol className={`${compact ? 'mt-1 text-xs' : 'mt-4 p-3 border rounded bg-gray-50 text-sm'} text-gray-700`}>
+      {steps.map((step, index) => (
+        <li key={index} className="mb-1">
+          🔧 <code>{step.name}({step.arguments})</code>
+          <div className="ml-5 break-all">
+            {!step.done ? (
+              <span className="text-gray-500">Running...</span>
+            ) : step.error ? (
+              <span className="text-red-600">↳ ⚠️ Failed: {step.error}</span>
+            ) : (
+              <span>↳ <code>{step.content}</code></span>
+            )}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
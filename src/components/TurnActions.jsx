@@ -0,0 +1,114 @@
+/**
+ * TurnActions Component
+ * Edit a user turn, regenerate an answer and move between the versions of a turn
+ *
+ * @param {Object} props
+ * @param {Object} props.entry - Chat history entry
+ * @param {Array} props.models - Models the answer can be regenerated with
+ * @param {string} props.model - Currently selected model
+ * @param {boolean} [props.disabled] - A request is running, or the active tab can't chat
+ * @param {boolean} [props.canRegenerate] - The answer has a user turn before it to send again
+ * @param {Function} props.onEdit - Called with the edited content to send as a new branch
+ * @param {Function} props.onRegenerate - Called with the model to answer the turn again
+ * @param {Function} props.onSwitchBranch - Called with the branch to show
+ */
+const TurnActions = ({ entry, models, model, disabled, canRegenerate, onEdit, onRegenerate, onSwitchBranch }) => {
+  const Branches = window.PollinationsBranches;
+  const [editing, setEditing] = React.useState(false);
+  const [draft, setDraft] = React.useState('');
+  const [regenerateModel, setRegenerateModel] = React.useState('');
+
+  const branch = Branches.getBranchInfo(entry);
+  const linkClass = 'text-blue-600 underline ml-2 focus:outline-none disabled:opacity-50';
+
+  const startEditing = () => {
+    setDraft(Branches.getContentText(entry.content));
+    setEditing(true);
+  };
+
+  const sendEdit = () => {
+    if (!draft.trim()) return;
+    setEditing(false);
+    onEdit(Branches.replaceContentText(entry.content, draft));
+  };
+
+  if (entry.role === 'user') {
+    return (
+      <span className="text-sm">
+        {branch && (
+          <span className="ml-2 text-gray-600 whitespace-nowrap">
+            <button
+              onClick={() => onSwitchBranch(branch.index - 1)}
+              disabled={disabled || branch.index === 0}
+              title="Previous version"
+              className="px-1 focus:outline-none disabled:opacity-50"
+            >
+              ‹
+            </button>
+            {branch.index + 1}/{branch.count}
+            <button
+              onClick={() => onSwitchBranch(branch.index + 1)}
+              disabled={disabled || branch.index === branch.count - 1}
+              title="Next version"
+              className="px-1 focus:outline-none disabled:opacity-50"
+            >
+              ›
+            </button>
+          </span>
+        )}
+        {!editing && (
+          <button onClick={startEditing} disabled={disabled} className={linkClass}>
+            ✏️ Edit
+          </button>
+        )}
+        {editing && (
+          <div className="ml-6 mt-1">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows="3"
+              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            />
+            <button
+              onClick={sendEdit}
+              disabled={disabled || !draft.trim()}
+              className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-1 px-3 mt-1 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+            >
+              Send as New Version
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 mt-1 ml-2 rounded focus:outline-none focus:shadow-outline"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+      </span>
+    );
+  }
+
+  return (
+    <span className="text-sm whitespace-nowrap">
+      <button
+        onClick={() => onRegenerate(regenerateModel || model)}
+        disabled={disabled || !canRegenerate}
+        title={canRegenerate ? undefined : 'No user turn before this answer'}
+        className={linkClass}
+      >
+        🔄 Regenerate
+      </button>
+      <select
+        value={regenerateModel || model}
+        onChange={(e) => setRegenerateModel(e.target.value)}
+        disabled={disabled}
+        title="Model for the regenerated answer"
+        className="ml-1 border rounded text-xs py-0 px-1 text-gray-700"
+      >
+        {models.map(m => (
+          <option key={m.id || m.name} value={m.name}>{m.name}</option>
+        ))}
+      </select>
+    </span>
+  );
+};
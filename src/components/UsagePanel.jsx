@@ -0,0 +1,79 @@
+/**
+ * UsagePanel Component
+ * Token usage and cost for the last request and the whole conversation
+ *
+ * @param {Object} props
+ * @param {Array} props.usageLog - Entries from useUsageTracking { model, usage, cost, timestamp }
+ * @param {Object} props.totalUsage - Summed token usage
+ * @param {Object|null} props.totalCost - Summed cost { amount, currency }
+ * @param {Object|null} [props.totalSavings] - Summed prompt cache savings { amount, currency }
+ * @param {Function} props.onReset - Clear the usage log
+ */
+const UsagePanel = ({ usageLog, totalUsage, totalCost, totalSavings, onReset }) => {
+  const [open, setOpen] = React.useState(false);
+
+  if (usageLog.length === 0) {
+    return null;
+  }
+
+  const { formatCost } = window.PollinationsUsage;
+  const last = usageLog[usageLog.length - 1];
+
+  const describeTokens = (usage) => {
+    const input = usage.promptTextTokens + usage.promptCachedTokens + usage.promptAudioTokens;
+    const output = usage.completionTextTokens + usage.completionReasoningTokens + usage.completionAudioTokens;
+    const parts = [`${input} in`, `${output} out`];
+    if (usage.promptCachedTokens) parts.push(`${usage.promptCachedTokens} cached`);
+    if (usage.completionReasoningTokens) parts.push(`${usage.completionReasoningTokens} reasoning`);
+    if (usage.promptAudioTokens || usage.completionAudioTokens) {
+      parts.push(`${usage.promptAudioTokens + usage.completionAudioTokens} audio`);
+    }
+    return `${usage.totalTokens} tokens (${parts.join(' / ')})`;
+  };
+
+  return (
+    <div className="mt-4 p-3 border rounded bg-gray-50 text-sm text-gray-700">
+      <div>
+        🧮 This response: {describeTokens(last.usage)} · {formatCost(last.cost)}
+      </div>
+      {totalUsage.promptCachedTokens > 0 && (
+        <div className="text-green-700">
+          💾 Prompt cache: {last.usage.promptCachedTokens} of {last.usage.promptTextTokens + last.usage.promptCachedTokens} input
+          tokens cached this response, {totalUsage.promptCachedTokens} in the conversation
+          {totalSavings ? ` · saved ${formatCost(totalSavings)}` : ''}
+        </div>
+      )}
+      <div className="flex items-center justify-between mt-1">
+        <button onClick={() => setOpen(!open)} className="focus:outline-none">
+          {open ? '▾' : '▸'} Conversation: {usageLog.length} request{usageLog.length > 1 ? 's' : ''}, {totalUsage.totalTokens} tokens · {formatCost(totalCost)}
+        </button>
+        <button onClick={onReset} className="text-blue-600 underline focus:outline-none">
+          Reset
+        </button>
+      </div>
+
+      {open && (
+        <table className="w-full mt-2 text-left">
+          <thead>
+            <tr className="border-b">
+              <th className="py-1">#</th>
+              <th className="py-1">Model</th>
+              <th className="py-1">Tokens</th>
+              <th className="py-1">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {usageLog.map((entry, index) => (
+              <tr key={entry.timestamp + '-' + index} className="border-b">
+                <td className="py-1">{index + 1}</td>
+                <td className="py-1">{entry.model}</td>
+                <td className="py-1">{describeTokens(entry.usage)}</td>
+                <td className="py-1">{formatCost(entry.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
@@ -1,17 +1,304 @@
 /**
  * useChatHistory Hook
- * Manages chat memory state and history
+ * Manages chat memory state and history, saved as conversations in IndexedDB
  */
 
-const { useState } = window.React;
+import {
+  conversationStore,
+  createConversation as createEmptyConversation,
+  sortConversations,
+  StorageQuotaError
+} from '../services/conversation-store.js';
+import { CONVERSATIONS, STORAGE_KEYS } from '../utils/constants.js';
+import { truncateText } from '../utils/helpers.js';
+import { createBranch, switchBranch as switchHistoryBranch, getContentText } from '../utils/branches.js';
+
+const { useState, useEffect, useRef } = window.React;
+
+/**
+ * Sidebar entry for a conversation, without its messages
+ * @param {Object} conversation - Saved conversation
+ * @returns {Object} { id, title, pinned, updatedAt, messageCount }
+ */
+function toSummary(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    pinned: conversation.pinned,
+    updatedAt: conversation.updatedAt,
+    messageCount: conversation.messages.length
+  };
+}
+
+/**
+ * Title from the first user message, unless the user renamed the conversation
+ * @param {Object} conversation - Conversation being updated
+ * @param {Array<Object>} messages - New chat history
+ * @returns {string} Title
+ */
+function deriveTitle(conversation, messages) {
+  if (conversation.titleEdited) return conversation.title;
+  const first = messages.find(entry => entry.role === 'user' && getContentText(entry.content).trim());
+  return first
+    ? truncateText(getContentText(first.content).trim(), CONVERSATIONS.TITLE_LENGTH)
+    : CONVERSATIONS.DEFAULT_TITLE;
+}
 
 /**
  * Custom hook for chat history management
+ * @param {Object} [options] - Hook options
+ * @param {Object} [options.settings] - Current model, system prompt and other settings, saved with the conversation
+ * @param {Function} [options.onRestoreSettings] - Called with saved settings when a conversation is opened,
+ *   and with the current settings when a new one starts, so per-conversation state starts over
  * @returns {Object} Chat history state and functions
  */
-export function useChatHistory() {
+export function useChatHistory({ settings = {}, onRestoreSettings } = {}) {
   const [enableMemory, setEnableMemory] = useState(false);
-  const [chatHistory, setChatHistory] = useState([]);
+  const [conversation, setConversation] = useState(() => createEmptyConversation());
+  const [conversations, setConversations] = useState([]);
+  const [storageWarning, setStorageWarning] = useState('');
+  const [storageEstimate, setStorageEstimate] = useState(null);
+
+  // Last stored version of a conversation, so opening one doesn't save it again
+  const lastSavedRef = useRef({ id: null, snapshot: null });
+  const loadedRef = useRef(false);
+  const latestRef = useRef(null);
+  latestRef.current = { conversation, settings, enableMemory, onRestoreSettings };
+
+  const chatHistory = conversation.messages;
+
+  const setChatHistory = (update) => {
+    setConversation(prev => {
+      const messages = typeof update === 'function' ? update(prev.messages) : update;
+      return { ...prev, messages, title: deriveTitle(prev, messages) };
+    });
+  };
+
+  const refreshEstimate = async () => {
+    setStorageEstimate(await conversationStore.estimate());
+  };
+
+  const snapshotOf = (record) => JSON.stringify([record.title, record.pinned, record.messages, record.settings]);
+
+  /**
+   * Save the active conversation if it changed since it was last stored
+   * New conversations are only saved once they have messages.
+   */
+  const saveActive = async () => {
+    const { conversation: current, settings: currentSettings, enableMemory: memory } = latestRef.current;
+    const record = { ...current, settings: { ...currentSettings, enableMemory: memory } };
+    const snapshot = snapshotOf(record);
+    const known = lastSavedRef.current.id === record.id;
+
+    if ((!known && record.messages.length === 0) || (known && lastSavedRef.current.snapshot === snapshot)) {
+      return;
+    }
+
+    try {
+      const { conversation: saved, stripped } = await conversationStore.save(record);
+      lastSavedRef.current = { id: saved.id, snapshot };
+      setConversations(prev => sortConversations([toSummary(saved), ...prev.filter(entry => entry.id !== saved.id)]));
+      setStorageWarning(stripped > 0
+        ? `Storage is almost full: ${stripped} large attachment(s) in "${saved.title}" were not saved.`
+        : '');
+      localStorage.setItem(STORAGE_KEYS.ACTIVE_CONVERSATION, saved.id);
+    } catch (error) {
+      console.error('Failed to save conversation:', error);
+      setStorageWarning(error instanceof StorageQuotaError ? error.message : `Failed to save conversation: ${error.message}`);
+    }
+    refreshEstimate();
+  };
+
+  /**
+   * Make a stored conversation the active one and restore its settings
+   * @param {Object} record - Saved conversation
+   */
+  const openConversation = (record) => {
+    lastSavedRef.current = { id: record.id, snapshot: snapshotOf(record) };
+    const { settings: saved = {}, ...rest } = record;
+    setConversation(rest);
+    setEnableMemory(saved.enableMemory !== undefined ? saved.enableMemory : rest.messages.length > 0);
+    if (latestRef.current.onRestoreSettings) {
+      latestRef.current.onRestoreSettings(saved);
+    }
+    localStorage.setItem(STORAGE_KEYS.ACTIVE_CONVERSATION, record.id);
+  };
+
+  /**
+   * Make a new, empty conversation the active one, keeping the current settings
+   */
+  const openEmptyConversation = () => {
+    setConversation(createEmptyConversation());
+    if (latestRef.current.onRestoreSettings) {
+      latestRef.current.onRestoreSettings(latestRef.current.settings);
+    }
+    localStorage.removeItem(STORAGE_KEYS.ACTIVE_CONVERSATION);
+  };
+
+  // Load saved conversations and reopen the last active one
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const saved = await conversationStore.list();
+        if (cancelled) return;
+        setConversations(saved.map(toSummary));
+        const active = saved.find(entry => entry.id === localStorage.getItem(STORAGE_KEYS.ACTIVE_CONVERSATION));
+        if (active) {
+          openConversation(active);
+        }
+      } catch (error) {
+        console.warn('Failed to load saved conversations:', error);
+      }
+      loadedRef.current = true;
+      refreshEstimate();
+    };
+    load();
+    return () => { cancelled = true; };
+  }, []);
+
+  // Save changes shortly after they stop coming in
+  const settingsKey = JSON.stringify(settings);
+  useEffect(() => {
+    if (!loadedRef.current) return undefined;
+    const timer = setTimeout(saveActive, CONVERSATIONS.SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [conversation, settingsKey, enableMemory]);
+
+  /**
+   * Start a new, empty conversation, keeping the current settings
+   */
+  const createConversation = async () => {
+    await saveActive();
+    openEmptyConversation();
+  };
+
+  /**
+   * Open a saved conversation
+   * @param {string} id - Conversation ID
+   */
+  const switchConversation = async (id) => {
+    if (id === conversation.id) return;
+    await saveActive();
+    try {
+      const record = await conversationStore.get(id);
+      if (record) {
+        openConversation(record);
+      }
+    } catch (error) {
+      console.error('Failed to open conversation:', error);
+      setStorageWarning(`Failed to open conversation: ${error.message}`);
+    }
+  };
+
+  /**
+   * Change a saved conversation, or the active one
+   * @param {string} id - Conversation ID
+   * @param {Function} change - (conversation) => changed conversation
+   */
+  const updateConversation = async (id, change) => {
+    if (id === conversation.id) {
+      setConversation(prev => change(prev));
+      return;
+    }
+    try {
+      const record = await conversationStore.get(id);
+      if (!record) return;
+      const { conversation: saved } = await conversationStore.save(change(record));
+      setConversations(prev => sortConversations(prev.map(entry => (entry.id === id ? toSummary(saved) : entry))));
+    } catch (error) {
+      console.error('Failed to update conversation:', error);
+      setStorageWarning(`Failed to update conversation: ${error.message}`);
+    }
+  };
+
+  /**
+   * Rename a conversation; an empty title goes back to the automatic one
+   * @param {string} id - Conversation ID
+   * @param {string} title - New title
+   */
+  const renameConversation = (id, title) => updateConversation(id, (record) => {
+    const trimmed = title.trim();
+    const next = { ...record, titleEdited: Boolean(trimmed) };
+    return { ...next, title: trimmed || deriveTitle(next, record.messages) };
+  });
+
+  /**
+   * Pin or unpin a conversation
+   * @param {string} id - Conversation ID
+   */
+  const togglePin = (id) => updateConversation(id, record => ({ ...record, pinned: !record.pinned }));
+
+  /**
+   * Delete a saved conversation; deleting the active one starts a new conversation
+   * @param {string} id - Conversation ID
+   */
+  const deleteConversation = async (id) => {
+    try {
+      await conversationStore.remove(id);
+    } catch (error) {
+      console.error('Failed to delete conversation:', error);
+      setStorageWarning(`Failed to delete conversation: ${error.message}`);
+      return;
+    }
+    setConversations(prev => prev.filter(entry => entry.id !== id));
+    if (id === conversation.id) {
+      lastSavedRef.current = { id: null, snapshot: null };
+      openEmptyConversation();
+    }
+    refreshEstimate();
+  };
+
+  /**
+   * Add a user turn and its answer to the history
+   * @param {Array<Object>} entries - The user entry and the assistant entry
+   * @param {number} [branchAt] - Index of the user turn these replace; the old version is kept as a branch
+   */
+  const addTurn = (entries, branchAt) => {
+    setChatHistory(prev => (branchAt === undefined ? [...prev, ...entries] : createBranch(prev, branchAt, entries)));
+  };
+
+  /**
+   * Show another version of the conversation from a turn that was edited or regenerated
+   * @param {number} index - Index of the user turn with branches
+   * @param {number} target - Branch to show
+   */
+  const switchBranch = (index, target) => {
+    setChatHistory(prev => switchHistoryBranch(prev, index, target));
+  };
+
+  /**
+   * Load full saved conversations, saving the active one first so it is up to date
+   * @param {Array<string>} [ids] - Conversations to load; all of them if unset
+   * @returns {Promise<Array<Object>>} Saved conversations, pinned first
+   */
+  const loadConversations = async (ids) => {
+    await saveActive();
+    const all = await conversationStore.list();
+    return ids ? all.filter(entry => ids.includes(entry.id)) : all;
+  };
+
+  /**
+   * Save imported conversations next to the existing ones
+   * @param {Array<Object>} imported - Conversations to add (see mergeConversations)
+   * @returns {Promise<{saved: number, errors: Array<string>}>} How many were saved, and why others weren't
+   */
+  const importConversations = async (imported) => {
+    let saved = 0;
+    const errors = [];
+    for (const record of imported) {
+      try {
+        const { conversation: stored } = await conversationStore.save(record);
+        setConversations(prev => sortConversations([toSummary(stored), ...prev.filter(entry => entry.id !== stored.id)]));
+        saved++;
+      } catch (error) {
+        console.error('Failed to import conversation:', error);
+        errors.push(`"${record.title}": ${error.message}`);
+      }
+    }
+    refreshEstimate();
+    return { saved, errors };
+  };
 
   const handleMemoryToggle = () => {
     if (enableMemory) {
@@ -28,7 +315,20 @@ export function useChatHistory() {
     enableMemory,
     chatHistory,
     setChatHistory,
-    handleMemoryToggle
+    handleMemoryToggle,
+    addTurn,
+    switchBranch,
+    conversations,
+    activeConversationId: conversation.id,
+    createConversation,
+    switchConversation,
+    renameConversation,
+    togglePin,
+    deleteConversation,
+    loadConversations,
+    importConversations,
+    storageWarning,
+    storageEstimate
   };
 }
 
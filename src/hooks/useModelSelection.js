@@ -30,11 +30,12 @@ function filterModelsByTab(allModels, tab) {
  * @param {Object} options - Hook options
  * @param {string} options.activeTab - Current active tab
  * @param {string} options.apiKey - API key for fetching models
+ * @param {string} [options.baseUrl] - Active API base URL; models are refetched when it changes
  * @param {boolean} options.voiceToAudio - Whether audio output is enabled
  * @param {Function} options.setVoiceToAudio - Setter for voiceToAudio
  * @returns {Object} Model selection state and functions
  */
-export function useModelSelection({ activeTab, apiKey, voiceToAudio, setVoiceToAudio }) {
+export function useModelSelection({ activeTab, apiKey, baseUrl, voiceToAudio, setVoiceToAudio }) {
   const [models, setModels] = useState([]);
   const [model, setModel] = useState('openai');
   const [lastSelectedModels, setLastSelectedModels] = useState(() => {
@@ -56,11 +57,12 @@ export function useModelSelection({ activeTab, apiKey, voiceToAudio, setVoiceToA
     return filtered;
   }, [models, activeTab, voiceToAudio]);
 
-  // Fetch models when tab or API key changes
+  // Fetch models when tab, API key or endpoint changes
   useEffect(() => {
+    const controller = new AbortController();
     const fetchModels = async () => {
       try {
-        const formattedModels = await window.PollinationsAPI.fetchModels(apiKey);
+        const formattedModels = await window.PollinationsAPI.fetchModels(apiKey, { signal: controller.signal });
 
         const defaultModels = [{
           id: 'default',
@@ -87,6 +89,8 @@ export function useModelSelection({ activeTab, apiKey, voiceToAudio, setVoiceToA
           }
         }
       } catch (error) {
+        // A newer fetch replaced this one
+        if (window.PollinationsAPI.isAbortError(error)) return;
         console.error('Error fetching models:', error);
         const defaultModels = [{ id: 'default', name: 'Default Model' }];
         setModels(defaultModels);
@@ -95,7 +99,8 @@ export function useModelSelection({ activeTab, apiKey, voiceToAudio, setVoiceToA
     };
 
     fetchModels();
-  }, [activeTab, apiKey]);
+    return () => controller.abort();
+  }, [activeTab, apiKey, baseUrl]);
 
   // Re-filter models when tab, models, or voiceToAudio changes
   useEffect(() => {
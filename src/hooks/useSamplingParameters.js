@@ -0,0 +1,78 @@
+/**
+ * useSamplingParameters Hook
+ * Manages advanced sampling parameters, persisted per tab
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+const { useState, useEffect } = window.React;
+
+const STORAGE_KEY = STORAGE_KEYS.SAMPLING_PARAMETERS;
+
+/**
+ * Custom hook for per-tab sampling parameters
+ * Only parameters the user has enabled are stored; the rest use the model default.
+ * @param {string} activeTab - Current active tab
+ * @returns {Object} Parameters for the active tab and functions to change them
+ */
+export function useSamplingParameters(activeTab) {
+  const [parametersByTab, setParametersByTab] = useState(() => {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.error('Error reading from localStorage', error);
+      return {};
+    }
+  });
+
+  // Persist parameters to localStorage
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(parametersByTab));
+    } catch (error) {
+      console.error('Error writing to localStorage', error);
+    }
+  }, [parametersByTab]);
+
+  const parameters = parametersByTab[activeTab] || {};
+
+  /**
+   * Set a parameter for the active tab, or remove it with undefined
+   * @param {string} name - API parameter name (e.g. 'top_p')
+   * @param {*} value - New value, undefined to fall back to the model default
+   */
+  const setParameter = (name, value) => {
+    setParametersByTab(prev => {
+      const tabParameters = { ...(prev[activeTab] || {}) };
+      if (value === undefined) {
+        delete tabParameters[name];
+      } else {
+        tabParameters[name] = value;
+      }
+      return { ...prev, [activeTab]: tabParameters };
+    });
+  };
+
+  const resetParameters = () => {
+    setParametersByTab(prev => ({ ...prev, [activeTab]: {} }));
+  };
+
+  /**
+   * Replace all parameters for a tab, e.g. to repeat a recorded request
+   * @param {Object} values - Parameter values by name
+   * @param {string} [tab] - Tab to replace them for (defaults to the active tab)
+   */
+  const replaceParameters = (values, tab = activeTab) => {
+    setParametersByTab(prev => ({ ...prev, [tab]: { ...values } }));
+  };
+
+  return {
+    parameters,
+    setParameter,
+    resetParameters,
+    replaceParameters
+  };
+}
+
+export default { useSamplingParameters };
@@ -0,0 +1,71 @@
+/**
+ * useUsageTracking Hook
+ * Records token usage and cost for each request in the conversation
+ */
+
+import { normalizeUsage, sumUsage, calculateCost, calculateCacheSavings } from '../utils/usage.js';
+
+const { useState } = window.React;
+
+/**
+ * Custom hook for per-request and per-conversation usage
+ * @returns {Object} Usage log, totals and functions to record or reset usage
+ */
+export function useUsageTracking() {
+  const [usageLog, setUsageLog] = useState([]);
+
+  /**
+   * Record the usage of one request
+   * @param {string} model - Model name
+   * @param {Object|Array<Object>} usage - `usage` from the completion, or one per round
+   *   when a request took several (e.g. the tool loop)
+   * @param {Object} pricing - Model pricing from fetchModels
+   * @returns {Object} The recorded entry { model, usage, cost, savings, timestamp }
+   */
+  const recordUsage = (model, usage, pricing) => {
+    const normalized = sumUsage(...[].concat(usage).map(normalizeUsage));
+    const entry = {
+      model,
+      usage: normalized,
+      cost: calculateCost(normalized, pricing),
+      savings: calculateCacheSavings(normalized, pricing),
+      timestamp: Date.now()
+    };
+    setUsageLog(prev => [...prev, entry]);
+    return entry;
+  };
+
+  const resetUsage = () => {
+    setUsageLog([]);
+  };
+
+  const totalUsage = sumUsage(...usageLog.map(entry => entry.usage));
+
+  // Costs in different currencies can't be added; only total the first currency seen
+  const sumAmounts = (field) => {
+    const priced = usageLog.filter(entry => entry[field]);
+    const currency = priced.length > 0 ? priced[0][field].currency : null;
+    return currency
+      ? {
+        amount: priced
+          .filter(entry => entry[field].currency === currency)
+          .reduce((sum, entry) => sum + entry[field].amount, 0),
+        currency
+      }
+      : null;
+  };
+  const totalCost = sumAmounts('cost');
+  const totalSavings = sumAmounts('savings');
+
+  return {
+    usageLog,
+    lastUsage: usageLog.length > 0 ? usageLog[usageLog.length - 1] : null,
+    totalUsage,
+    totalCost,
+    totalSavings,
+    recordUsage,
+    resetUsage
+  };
+}
+
+export default { useUsageTracking };
@@ -0,0 +1,193 @@
+/**
+ * Pollinations API Errors
+ * Typed errors built from the gateway's documented error schema
+ */
+
+/**
+ * Base error for failed API requests
+ * Carries the HTTP status, error code, request ID and parsed error body
+ */
+export class PollinationsAPIError extends Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {Object} [options] - Error details
+   * @param {number} [options.status] - HTTP status code
+   * @param {string} [options.code] - Error code from the response body (e.g. 'UNAUTHORIZED')
+   * @param {string} [options.requestId] - Gateway request ID, useful for support requests
+   * @param {Object} [options.details] - `error.details` from the response body
+   * @param {*} [options.cause] - Underlying cause (`error.cause` or the original exception)
+   * @param {Object} [options.body] - Full parsed error body
+   * @param {number} [options.retryAfter] - Milliseconds to wait before retrying, from Retry-After
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'PollinationsAPIError';
+    this.status = options.status || 0;
+    this.code = options.code || '';
+    this.requestId = options.requestId || '';
+    this.details = options.details || null;
+    this.cause = options.cause || null;
+    this.body = options.body || null;
+    this.retryAfter = options.retryAfter != null ? options.retryAfter : null;
+  }
+
+  /**
+   * Whether repeating the same request may succeed
+   * @returns {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/** 400 - Invalid request body or parameters */
+export class ValidationError extends PollinationsAPIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+/** 401 - Missing or invalid API key */
+export class AuthenticationError extends PollinationsAPIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/** 402 - Insufficient pollen balance or API key budget exhausted */
+export class InsufficientBalanceError extends PollinationsAPIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'InsufficientBalanceError';
+  }
+}
+
+/** 403 - API key lacks the permission for this resource or model */
+export class PermissionError extends PollinationsAPIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PermissionError';
+  }
+}
+
+/** 429 - Rate limited */
+export class RateLimitError extends PollinationsAPIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'RateLimitError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** 5xx - Gateway or upstream provider failure */
+export class ServerError extends PollinationsAPIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServerError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** Request never reached the gateway (offline, DNS, CORS, connection reset) */
+export class NetworkError extends PollinationsAPIError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value, either delay-seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Pick the error class for an HTTP status
+ * @param {number} status - HTTP status code
+ * @returns {Function} Error class
+ */
+function getErrorClass(status) {
+  if (status === 400) return ValidationError;
+  if (status === 401) return AuthenticationError;
+  if (status === 402) return InsufficientBalanceError;
+  if (status === 403) return PermissionError;
+  if (status === 429) return RateLimitError;
+  if (status >= 500) return ServerError;
+  return PollinationsAPIError;
+}
+
+/**
+ * Build a typed error from a failed fetch response
+ * @param {Response} response - Fetch response with a non-2xx status
+ * @returns {Promise<PollinationsAPIError>} Typed error (not thrown)
+ */
+export async function createErrorFromResponse(response) {
+  let body = null;
+
+  try {
+    const text = await response.text();
+    body = text ? JSON.parse(text) : null;
+  } catch (e) {
+    // Non-JSON error body, fall back to the status line
+  }
+
+  const errorData = body && body.error && typeof body.error === 'object' ? body.error : {};
+  let message = `API Error: ${response.status} ${response.statusText}`;
+  if (typeof errorData.message === 'string' && errorData.message) {
+    message = errorData.message;
+  } else if (errorData.message) {
+    message = JSON.stringify(errorData.message);
+  }
+
+  const ErrorClass = getErrorClass(response.status);
+  return new ErrorClass(message, {
+    status: response.status,
+    code: errorData.code,
+    requestId: errorData.requestId || response.headers.get('x-request-id') || '',
+    details: errorData.details,
+    cause: errorData.cause,
+    body,
+    retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+  });
+}
+
+export default {
+  PollinationsAPIError,
+  ValidationError,
+  AuthenticationError,
+  InsufficientBalanceError,
+  PermissionError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  parseRetryAfter,
+  createErrorFromResponse
+};
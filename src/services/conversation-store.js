@@ -0,0 +1,311 @@
+/**
+ * Conversation Store
+ * Saved conversations in IndexedDB, kept in memory when IndexedDB is unavailable
+ */
+
+import { STORAGE_KEYS, CONVERSATIONS } from '../utils/constants.js';
+
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+
+/**
+ * Saved conversation
+ * @typedef {Object} Conversation
+ * @property {string} id - Unique ID
+ * @property {string} title - Title shown in the sidebar
+ * @property {boolean} titleEdited - The user renamed it, so the title is no longer derived from the first prompt
+ * @property {boolean} pinned - Pinned conversations are listed first
+ * @property {number} createdAt - Creation time (ms)
+ * @property {number} updatedAt - Last save time (ms)
+ * @property {Array<Object>} messages - Chat history entries
+ * @property {Object} settings - Model, system prompt and other settings to restore
+ */
+
+/**
+ * Thrown when the browser refuses to store a conversation, even without its large attachments
+ */
+export class StorageQuotaError extends Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {*} [cause] - Original error from IndexedDB
+   */
+  constructor(message, cause) {
+    super(message);
+    this.name = 'StorageQuotaError';
+    this.cause = cause || null;
+  }
+}
+
+/**
+ * Create an empty conversation
+ * @param {Object} [fields] - Fields to set, e.g. settings
+ * @returns {Conversation} New conversation (not saved yet)
+ */
+export function createConversation(fields = {}) {
+  const now = Date.now();
+  return {
+    id: `conv_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    title: CONVERSATIONS.DEFAULT_TITLE,
+    titleEdited: false,
+    pinned: false,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    settings: {},
+    ...fields
+  };
+}
+
+/**
+ * Remove data URLs and base64 audio larger than `maxChars`
+ * Used to fit a conversation into storage when the full version exceeds the quota. Image and
+ * audio parts of a message become a text placeholder, so the history can still be sent to the
+ * API; display-only images and audio are dropped.
+ * @param {Conversation} conversation - Conversation to shrink
+ * @param {number} [maxChars] - Largest payload kept as is
+ * @returns {{conversation: Conversation, stripped: number}} Smaller copy and the number of payloads removed
+ */
+export function stripLargePayloads(conversation, maxChars = CONVERSATIONS.MAX_INLINE_PAYLOAD) {
+  let stripped = 0;
+  const isLarge = (value) => typeof value === 'string' && value.length > maxChars;
+
+  const shrinkPart = (part) => {
+    if (!part || typeof part !== 'object') return part;
+    const payload = part.type === 'image_url' && part.image_url ? part.image_url.url
+      : part.type === 'input_audio' && part.input_audio ? part.input_audio.data
+        : null;
+    if (!isLarge(payload)) return part;
+    stripped++;
+    return { type: 'text', text: CONVERSATIONS.STRIPPED_PLACEHOLDER };
+  };
+
+  const shrinkEntry = (entry) => {
+    const next = { ...entry };
+    if (Array.isArray(entry.content)) next.content = entry.content.map(shrinkPart);
+    if (Array.isArray(entry.images)) {
+      next.images = entry.images.filter(url => !isLarge(url));
+      stripped += entry.images.length - next.images.length;
+    }
+    if (isLarge(entry.audio)) {
+      delete next.audio;
+      stripped++;
+    }
+    // Edited and regenerated turns keep older versions of the conversation
+    if (Array.isArray(entry.branches)) {
+      next.branches = entry.branches.map(branch => (branch ? branch.map(shrinkEntry) : branch));
+    }
+    return next;
+  };
+
+  const messages = conversation.messages.map(shrinkEntry);
+
+  return { conversation: { ...conversation, messages }, stripped };
+}
+
+/**
+ * Sort conversations for the sidebar: pinned first, then most recently updated
+ * @param {Array<Object>} conversations - Conversations or their summaries
+ * @returns {Array<Object>} New sorted array
+ */
+export function sortConversations(conversations) {
+  return [...conversations].sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || (b.updatedAt - a.updatedAt));
+}
+
+/**
+ * Whether an error means the storage quota is full
+ * @param {*} error - Error from IndexedDB
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+  return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create a conversation store
+ * @param {Object} [options] - Store options
+ * @param {string} [options.dbName] - IndexedDB database name
+ * @param {IDBFactory|null} [options.indexedDB] - IndexedDB implementation; null keeps conversations in memory
+ * @returns {Object} Store with list, get, save, remove and estimate
+ */
+export function createConversationStore(options = {}) {
+  const {
+    dbName = STORAGE_KEYS.CHAT_HISTORY,
+    indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined
+  } = options;
+
+  const memory = new Map();
+  let dbPromise = null;
+
+  /**
+   * Open the database once; resolves to null when IndexedDB can't be used (e.g. private mode)
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise(resolve => {
+        if (!indexedDB) {
+          resolve(null);
+          return;
+        }
+        try {
+          const request = indexedDB.open(dbName, DB_VERSION);
+          request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+              request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            }
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => {
+            console.warn('IndexedDB unavailable, conversations will not survive a reload:', request.error);
+            resolve(null);
+          };
+        } catch (error) {
+          console.warn('IndexedDB unavailable, conversations will not survive a reload:', error);
+          resolve(null);
+        }
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run one operation in a transaction and wait for it to commit
+   * @param {IDBDatabase} db - Open database
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (objectStore) => IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async function run(db, mode, operation) {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const [result] = await Promise.all([
+      requestToPromise(operation(transaction.objectStore(STORE_NAME))),
+      completed
+    ]);
+    return result;
+  }
+
+  /**
+   * List all conversations, pinned first, then most recently updated
+   * @returns {Promise<Array<Conversation>>}
+   */
+  async function list() {
+    const db = await openDatabase();
+    const all = db ? await run(db, 'readonly', store => store.getAll()) : [...memory.values()];
+    return sortConversations(all);
+  }
+
+  /**
+   * Load one conversation
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Conversation|null>}
+   */
+  async function get(id) {
+    const db = await openDatabase();
+    if (!db) return memory.get(id) || null;
+    return (await run(db, 'readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * Save a conversation, dropping large attachments if the full version doesn't fit
+   * @param {Conversation} conversation - Conversation to save
+   * @returns {Promise<{conversation: Conversation, stripped: number}>} What was stored and how
+   *   many attachments were left out
+   * @throws {StorageQuotaError} When even the smaller version doesn't fit
+   */
+  async function save(conversation) {
+    const record = { ...conversation, updatedAt: Date.now() };
+    const db = await openDatabase();
+    if (!db) {
+      memory.set(record.id, record);
+      return { conversation: record, stripped: 0 };
+    }
+
+    try {
+      await run(db, 'readwrite', store => store.put(record));
+      return { conversation: record, stripped: 0 };
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+    }
+
+    const smaller = stripLargePayloads(record);
+    try {
+      await run(db, 'readwrite', store => store.put(smaller.conversation));
+      return smaller;
+    } catch (error) {
+      if (isQuotaError(error)) {
+        throw new StorageQuotaError('Browser storage is full. Delete old conversations to save new ones.', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   */
+  async function remove(id) {
+    const db = await openDatabase();
+    if (!db) {
+      memory.delete(id);
+      return;
+    }
+    await run(db, 'readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Storage used by this site; usage and quota are null when the browser doesn't report them
+   * @returns {Promise<{usage: number|null, quota: number|null, inMemory: boolean}>} inMemory means
+   *   conversations are lost on reload
+   */
+  async function estimate() {
+    const db = await openDatabase();
+    const result = { usage: null, quota: null, inMemory: !db };
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+      return result;
+    }
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { ...result, usage, quota };
+    } catch (error) {
+      console.warn('Storage estimate unavailable:', error);
+      return result;
+    }
+  }
+
+  return {
+    list,
+    get,
+    save,
+    remove,
+    estimate
+  };
+}
+
+/** Shared store used by the app */
+export const conversationStore = createConversationStore();
+
+export default {
+  createConversationStore,
+  createConversation,
+  stripLargePayloads,
+  sortConversations,
+  conversationStore,
+  StorageQuotaError
+};
@@ -0,0 +1,287 @@
+/**
+ * Conversation Transfer
+ * Export saved conversations as JSON, Markdown or chat JSONL, and import them back
+ */
+
+import { CONVERSATIONS } from '../utils/constants.js';
+import { truncateText } from '../utils/helpers.js';
+import { getContentText } from '../utils/branches.js';
+import { createConversation } from './conversation-store.js';
+import { toApiMessage } from './pollinations-api.js';
+
+const ROLES = ['system', 'user', 'assistant', 'tool'];
+
+/**
+ * Thrown when an import file can't be read as conversations at all
+ */
+export class ConversationImportError extends Error {
+  /**
+   * @param {string} message - Human-readable error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ConversationImportError';
+  }
+}
+
+/**
+ * Lossless JSON export, including branches, settings, images and audio
+ * @param {Array<Object>} conversations - Saved conversations
+ * @returns {string} JSON text
+ */
+export function toJSONExport(conversations) {
+  return JSON.stringify({
+    format: CONVERSATIONS.EXPORT_FORMAT,
+    version: CONVERSATIONS.EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations
+  }, null, 2);
+}
+
+/**
+ * Markdown export of each conversation's active branch, for docs
+ * @param {Array<Object>} conversations - Saved conversations
+ * @returns {string} Markdown text
+ */
+export function toMarkdown(conversations) {
+  return conversations.map(conversation => {
+    const settings = conversation.settings || {};
+    const lines = [`# ${conversation.title}`, ''];
+    const details = [new Date(conversation.createdAt).toISOString().slice(0, 10)];
+    if (settings.model) details.push(`model \`${settings.model}\``);
+    lines.push(`_${details.join(' · ')}_`, '');
+    if (settings.systemPrompt) {
+      lines.push('**System:**', '', settings.systemPrompt, '');
+    }
+
+    conversation.messages.forEach(entry => {
+      // Tool calls are listed with the answer that used them
+      if (entry.role === 'tool' || entry.tool_calls) return;
+      const role = entry.role.charAt(0).toUpperCase() + entry.role.slice(1);
+      lines.push(`**${role}:**`, '');
+      const text = getContentText(entry.content);
+      if (text) lines.push(text, '');
+
+      const parts = Array.isArray(entry.content) ? entry.content : [];
+      const images = [
+        ...parts.filter(part => part.type === 'image_url' && part.image_url).map(part => part.image_url.url),
+        ...(entry.images || [])
+      ];
+      images.forEach((url, index) => lines.push(`![Image ${index + 1}](${url})`, ''));
+      if (entry.audio || parts.some(part => part.type === 'input_audio')) {
+        lines.push('_🔊 Audio not included_', '');
+      }
+      (entry.steps || []).forEach(step => lines.push(`- 🔧 \`${step.name}(${step.arguments})\` → ${step.error ? `⚠️ ${step.error}` : `\`${step.content}\``}`));
+      if (entry.steps && entry.steps.length > 0) lines.push('');
+      (entry.citations || []).forEach(citation => lines.push(`- [${citation.title || citation.url}](${citation.url})`));
+      if (entry.citations && entry.citations.length > 0) lines.push('');
+    });
+
+    return lines.join('\n');
+  }).join('\n---\n\n');
+}
+
+/**
+ * OpenAI-style chat JSONL: one `{ "messages": [...] }` line per conversation (active branch)
+ * @param {Array<Object>} conversations - Saved conversations
+ * @returns {string} JSONL text
+ */
+export function toJSONL(conversations) {
+  return conversations.map(conversation => {
+    const settings = conversation.settings || {};
+    const messages = conversation.messages.map(entry => {
+      const { cache, ...message } = toApiMessage(entry);
+      return message;
+    });
+    if (settings.systemPrompt) {
+      messages.unshift({ role: 'system', content: settings.systemPrompt });
+    }
+    return JSON.stringify({ messages });
+  }).join('\n') + '\n';
+}
+
+/**
+ * Build the file for an export
+ * @param {Array<Object>} conversations - Saved conversations
+ * @param {string} format - 'json', 'markdown' or 'jsonl'
+ * @returns {{content: string, filename: string, mimeType: string}} File to download
+ */
+export function createExportFile(conversations, format) {
+  const name = conversations.length === 1
+    ? conversations[0].title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'conversation'
+    : `conversations-${new Date().toISOString().slice(0, 10)}`;
+
+  switch (format) {
+    case 'markdown':
+      return { content: toMarkdown(conversations), filename: `${name}.md`, mimeType: 'text/markdown' };
+    case 'jsonl':
+      return { content: toJSONL(conversations), filename: `${name}.jsonl`, mimeType: 'application/jsonl' };
+    default:
+      return { content: toJSONExport(conversations), filename: `${name}.json`, mimeType: 'application/json' };
+  }
+}
+
+/**
+ * Check one imported message
+ * @param {*} message - Message from the file
+ * @returns {string|null} Problem, or null if the message is usable
+ */
+function validateMessage(message) {
+  if (!message || typeof message !== 'object') return 'is not an object';
+  if (!ROLES.includes(message.role)) return `has unknown role ${JSON.stringify(message.role)}`;
+  const content = message.content;
+  if (!(typeof content === 'string' || Array.isArray(content) || (content == null && message.tool_calls))) {
+    return 'has no text or content parts';
+  }
+  if (Array.isArray(content) && content.some(part => !part || typeof part.type !== 'string')) {
+    return 'has a content part without a type';
+  }
+  return null;
+}
+
+/**
+ * Turn one imported record into a conversation
+ * System messages become the conversation's system prompt.
+ * @param {*} raw - Conversation from a JSON export, or a `{ messages }` JSONL line
+ * @param {string} label - Where the record came from, for error messages
+ * @returns {Object} Conversation
+ * @throws {ConversationImportError} If the record isn't a valid conversation
+ */
+function readConversation(raw, label) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.messages)) {
+    throw new ConversationImportError(`${label} has no messages list`);
+  }
+  raw.messages.forEach((message, index) => {
+    const problem = validateMessage(message);
+    if (problem) throw new ConversationImportError(`${label}, message ${index + 1} ${problem}`);
+  });
+
+  const systemMessages = raw.messages.filter(message => message.role === 'system');
+  const messages = raw.messages.filter(message => message.role !== 'system');
+  if (messages.length === 0) {
+    throw new ConversationImportError(`${label} has no user or assistant messages`);
+  }
+
+  const settings = raw.settings && typeof raw.settings === 'object' ? { ...raw.settings } : {};
+  if (systemMessages.length > 0 && settings.systemPrompt === undefined) {
+    settings.systemPrompt = systemMessages.map(message => getContentText(message.content)).join('\n\n');
+  }
+
+  const firstPrompt = messages.find(message => message.role === 'user' && getContentText(message.content).trim());
+  const fields = {
+    title: typeof raw.title === 'string' && raw.title.trim()
+      ? raw.title.trim()
+      : firstPrompt ? truncateText(getContentText(firstPrompt.content).trim(), CONVERSATIONS.TITLE_LENGTH) : CONVERSATIONS.DEFAULT_TITLE,
+    titleEdited: Boolean(raw.titleEdited),
+    pinned: Boolean(raw.pinned),
+    messages,
+    settings
+  };
+  if (typeof raw.id === 'string') fields.id = raw.id;
+  if (typeof raw.createdAt === 'number') fields.createdAt = raw.createdAt;
+  return createConversation(fields);
+}
+
+/**
+ * Read conversations from an exported file
+ * Accepts this app's JSON export, a single conversation, an array of conversations, or chat
+ * JSONL. Invalid conversations are skipped and reported; the rest are returned.
+ * @param {string} text - File contents
+ * @returns {{conversations: Array<Object>, errors: Array<string>}} Valid conversations and problems found
+ * @throws {ConversationImportError} If the file isn't JSON or JSONL, or comes from a newer version
+ */
+export function parseImport(text) {
+  let records;
+  let labelFor = index => `Conversation ${index + 1}`;
+
+  try {
+    const data = JSON.parse(text);
+    if (data && data.format === CONVERSATIONS.EXPORT_FORMAT) {
+      if (data.version > CONVERSATIONS.EXPORT_VERSION) {
+        throw new ConversationImportError(`This file is from a newer version (format ${data.version}); update the app to import it.`);
+      }
+      records = Array.isArray(data.conversations) ? data.conversations : [];
+    } else {
+      records = Array.isArray(data) ? data : [data];
+    }
+  } catch (error) {
+    if (error instanceof ConversationImportError) throw error;
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    records = lines.map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (lineError) {
+        if (index === 0) {
+          throw new ConversationImportError('The file is not JSON or JSONL.');
+        }
+        return null;
+      }
+    });
+    labelFor = index => `Line ${index + 1}`;
+  }
+
+  const conversations = [];
+  const errors = [];
+  records.forEach((raw, index) => {
+    try {
+      conversations.push(readConversation(raw, labelFor(index)));
+    } catch (error) {
+      if (!(error instanceof ConversationImportError)) throw error;
+      errors.push(error.message);
+    }
+  });
+  return { conversations, errors };
+}
+
+/**
+ * Short hash of a conversation's active branch, for spotting the same conversation twice
+ * @param {Object} conversation - Conversation
+ * @returns {string} Fingerprint
+ */
+function fingerprint(conversation) {
+  const text = JSON.stringify(conversation.messages.map(entry => [entry.role, entry.content]));
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return `${text.length}:${hash.toString(36)}`;
+}
+
+/**
+ * Pick which imported conversations to add
+ * Conversations with the same messages as a saved one (or an earlier one in the file) are
+ * skipped. An imported conversation whose ID is taken by a different conversation gets a new ID.
+ * @param {Array<Object>} existing - Saved conversations
+ * @param {Array<Object>} incoming - Conversations from parseImport
+ * @returns {{added: Array<Object>, duplicates: number}} Conversations to save and how many were skipped
+ */
+export function mergeConversations(existing, incoming) {
+  const ids = new Set(existing.map(conversation => conversation.id));
+  const prints = new Set(existing.map(fingerprint));
+  const added = [];
+  let duplicates = 0;
+
+  for (const conversation of incoming) {
+    const print = fingerprint(conversation);
+    if (prints.has(print)) {
+      duplicates++;
+      continue;
+    }
+    prints.add(print);
+    const next = ids.has(conversation.id) ? { ...conversation, id: createConversation().id } : conversation;
+    ids.add(next.id);
+    added.push(next);
+  }
+
+  return { added, duplicates };
+}
+
+export default {
+  toJSONExport,
+  toMarkdown,
+  toJSONL,
+  createExportFile,
+  parseImport,
+  mergeConversations,
+  ConversationImportError
+};
@@ -0,0 +1,176 @@
+/**
+ * Model Comparison
+ * Stream one prompt to several models in parallel and measure each answer
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { normalizeUsage, sumUsage, calculateCost } from '../utils/usage.js';
+import { formatApiError } from '../utils/helpers.js';
+import { streamCompletion, isAbortError } from './pollinations-api.js';
+
+/**
+ * Result column for one model, before it starts
+ * @param {string} model - Model name
+ * @returns {Object} { model, status, text, error, ttftMs, latencyMs, usage, cost, notes }
+ */
+export function createColumn(model) {
+  return {
+    model,
+    status: 'running',
+    text: '',
+    error: '',
+    ttftMs: null,
+    latencyMs: null,
+    usage: null,
+    cost: null,
+    notes: ''
+  };
+}
+
+/**
+ * Stream one model's answer, measuring time to first token, total latency, usage and cost
+ * Failures end up in the column as `status: 'error'` instead of being thrown, so one model
+ * failing doesn't stop the others.
+ * @param {Object} options - Run options
+ * @param {string} options.model - Model name
+ * @param {Object} [options.modelInfo] - Model info from fetchModels, for pricing and parameter support
+ * @param {string} options.prompt - Prompt to send
+ * @param {string} [options.systemPrompt] - System prompt
+ * @param {Object} [options.parameters] - Sampling parameters; unsupported ones are dropped
+ * @param {string} [options.apiKey] - API key
+ * @param {AbortSignal} [options.signal] - Stop signal
+ * @param {Function} [options.onUpdate] - Called with the changed column fields as they come in
+ * @param {Function} [options.stream] - streamCompletion to use, e.g. a client's (defaults to the shared client)
+ * @param {Function} [options.now] - Clock in milliseconds (defaults to performance.now)
+ * @returns {Promise<Object>} Finished column
+ */
+export async function runModel(options) {
+  const {
+    model,
+    modelInfo,
+    prompt,
+    systemPrompt,
+    parameters,
+    apiKey,
+    signal,
+    onUpdate = () => {},
+    stream = streamCompletion,
+    now = () => performance.now()
+  } = options;
+
+  const column = createColumn(model);
+  const update = (changes) => {
+    Object.assign(column, changes);
+    onUpdate(changes);
+  };
+
+  const startedAt = now();
+  const usage = [];
+
+  try {
+    const events = stream({
+      apiKey,
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      systemPrompt,
+      parameters,
+      modelInfo,
+      signal
+    });
+    for await (const event of events) {
+      if ((event.type === 'text' || event.type === 'reasoning') && column.ttftMs === null) {
+        update({ ttftMs: Math.round(now() - startedAt) });
+      }
+      if (event.type === 'text') {
+        update({ text: column.text + event.text });
+      } else if (event.type === 'usage') {
+        usage.push(event.usage);
+      }
+    }
+    update({ status: 'done' });
+  } catch (error) {
+    if (isAbortError(error)) {
+      update({ status: 'stopped' });
+    } else {
+      update({ status: 'error', error: formatApiError(error) });
+    }
+  }
+
+  const total = usage.length > 0 ? sumUsage(...usage.map(normalizeUsage)) : null;
+  update({
+    latencyMs: Math.round(now() - startedAt),
+    usage: total,
+    cost: total ? calculateCost(total, modelInfo && modelInfo.pricing) : null
+  });
+  return column;
+}
+
+/**
+ * Run one prompt against several models in parallel
+ * @param {Object} options - Same as runModel, with `models` instead of `model`
+ * @param {Array<string>} options.models - Model names, one column each
+ * @param {Array<Object>} [options.modelInfos] - Model info from fetchModels, looked up by name
+ * @param {Function} [options.onUpdate] - Called with (column index, changed fields)
+ * @returns {Promise<Array<Object>>} Finished columns, in the order of `models`
+ */
+export function compareModels(options) {
+  const { models, modelInfos = [], onUpdate = () => {}, ...runOptions } = options;
+  return Promise.all(models.map((model, index) => runModel({
+    ...runOptions,
+    model,
+    modelInfo: modelInfos.find(info => info.name === model),
+    onUpdate: changes => onUpdate(index, changes)
+  })));
+}
+
+/**
+ * Comparison as saved in this browser
+ * @param {Object} comparison - { prompt, systemPrompt, winner, columns }
+ * @returns {Object} Saved result with a timestamp
+ */
+export function toSavedResult({ prompt, systemPrompt, winner, columns }) {
+  return {
+    timestamp: Date.now(),
+    prompt,
+    systemPrompt,
+    winner,
+    columns: columns.map(({ model, status, text, ttftMs, latencyMs, usage, cost, notes }) => ({
+      model, status, text, ttftMs, latencyMs, usage, cost, notes
+    }))
+  };
+}
+
+/**
+ * Load saved comparisons from localStorage
+ * @returns {Array<Object>} Saved results, newest first
+ */
+export function loadSavedResults() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.COMPARE_RESULTS);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn('Failed to read saved comparisons:', error);
+    return [];
+  }
+}
+
+/**
+ * Save comparisons to localStorage
+ * @param {Array<Object>} results - Saved results, newest first
+ */
+export function saveResults(results) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.COMPARE_RESULTS, JSON.stringify(results));
+  } catch (error) {
+    console.warn('Failed to save comparisons:', error);
+  }
+}
+
+export default {
+  createColumn,
+  runModel,
+  compareModels,
+  toSavedResult,
+  loadSavedResults,
+  saveResults
+};
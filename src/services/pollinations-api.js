@@ -3,274 +3,1628 @@
  * Centralized API calls for the Pollinations AI platform
  */
 
-const API_BASE_URL = 'https://gen.pollinations.ai';
+import { API, SAMPLING_PARAMETERS, MODEL_PARAMETER_RULES, REASONING, MODEL_THINKING_RULES, PROMPT_CACHE, CONTEXT } from '../utils/constants.js';
+import { getClientSettings, isValidApiKey } from '../utils/config.js';
+import { base64ToUint8Array } from '../utils/audio-utils.js';
+import { getContentText } from '../utils/branches.js';
+import {
+  PollinationsAPIError,
+  NetworkError,
+  createErrorFromResponse
+} from './api-errors.js';
+
+export {
+  PollinationsAPIError,
+  ValidationError,
+  AuthenticationError,
+  InsufficientBalanceError,
+  PermissionError,
+  RateLimitError,
+  ServerError,
+  NetworkError
+} from './api-errors.js';
 
 /**
- * Get API headers with optional authentication
- * @param {string} apiKey - Optional API key for authentication
- * @returns {Object} Headers object
+ * Create an AbortSignal that follows the caller's signal and enforces a timeout
+ * @param {AbortSignal} [signal] - Optional caller signal (e.g. from a Stop button)
+ * @param {number} [timeout=API.TIMEOUT] - Timeout in milliseconds, 0 to disable
+ * @returns {{signal: AbortSignal, restartTimeout: Function, clearTimeout: Function}} Combined signal, a function
+ *   that starts the timeout over, and a cleanup that stops the timer and stops following the caller's signal
  */
-function getHeaders(apiKey) {
-  const headers = {
-    'Content-Type': 'application/json'
+function createRequestSignal(signal, timeout = API.TIMEOUT) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  let timer = null;
+
+  const clear = () => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  };
+
+  const restart = () => {
+    clearTimeout(timer);
+    timer = timeout
+      ? setTimeout(() => {
+        clear();
+        controller.abort(new DOMException(`Request timed out after ${timeout / 1000}s`, 'TimeoutError'));
+      }, timeout)
+      : null;
   };
 
-  if (apiKey) {
-    headers['Authorization'] = `Bearer ${apiKey}`;
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
   }
+  restart();
 
-  return headers;
+  return {
+    signal: controller.signal,
+    restartTimeout: restart,
+    clearTimeout: clear
+  };
 }
 
 /**
- * Handle API errors
- * @param {Response} response - Fetch response object
- * @throws {Error} Formatted error with details
+ * Keep a request's timeout running while its body is read
+ * The timeout starts over with each chunk, so a long answer that keeps streaming isn't cut off but one
+ * that stalls is. The timer and the caller's signal are released once the body has been read.
+ * @param {Response} response - Response whose body the caller will read
+ * @param {Object} request - Request signal from createRequestSignal
+ * @returns {Response} Response with the same status and headers, reading through the timeout
  */
-async function handleError(response) {
-  let errorMessage = `API Error: ${response.status} ${response.statusText}`;
-
-  try {
-    const errorData = await response.json();
-    if (errorData.error) {
-      errorMessage = errorData.error.message || errorMessage;
-    }
-  } catch (e) {
-    // If JSON parsing fails, use default message
+function followResponseBody(response, request) {
+  if (!response.body) {
+    request.clearTimeout();
+    return response;
   }
 
-  throw new Error(errorMessage);
+  const body = response.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      request.restartTimeout();
+      controller.enqueue(chunk);
+    },
+    flush() {
+      request.clearTimeout();
+    }
+  }));
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
 }
 
 /**
- * Fetch available text models
- * @param {string} apiKey - Optional API key
- * @returns {Promise<Array>} Array of model objects
+ * Check whether an error was caused by an aborted request (user cancel, not timeout)
+ * @param {Error} error - Error to inspect
+ * @returns {boolean} True if the request was cancelled
  */
-export async function fetchModels(apiKey) {
-  try {
-    const response = await fetch(`${API_BASE_URL}/text/models`, {
-      headers: getHeaders(apiKey)
-    });
+export function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
 
-    if (!response.ok) {
-      await handleError(response);
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
     }
 
-    const models = await response.json();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
 
-    // Format models with capability data
-    return models.map(model => {
-      const audioCapability = model.output_modalities
-        ? model.output_modalities.includes('audio')
-        : false;
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
-      const visionCapability = model.input_modalities
-        ? model.input_modalities.includes('image')
-        : false;
+/**
+ * Compute the delay before the next retry attempt
+ * Uses the server's Retry-After when given, otherwise exponential backoff with jitter
+ * @param {PollinationsAPIError} error - Error from the failed attempt
+ * @param {number} attempt - Zero-based index of the failed attempt
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(error, attempt) {
+  if (error && error.retryAfter != null) {
+    return error.retryAfter;
+  }
 
-      return {
-        id: model.name,
-        name: model.name,
-        description: model.description || '',
-        vision: visionCapability,
-        audio: audioCapability,
-        input_modalities: model.input_modalities || ['text'],
-        output_modalities: model.output_modalities || ['text'],
-        voices: model.voices || [],
-        pricing: model.pricing || null,
-        aliases: model.aliases || []
-      };
-    });
-  } catch (error) {
-    console.error('Error fetching models:', error);
-    throw error;
+  const backoff = API.RETRY.BASE_DELAY * Math.pow(2, attempt);
+  const jitter = Math.random() * API.RETRY.BASE_DELAY;
+  return Math.min(backoff + jitter, API.RETRY.MAX_DELAY);
+}
+
+/**
+ * Fetch with typed errors and automatic retry of 429/5xx/network failures
+ * @param {Function} fetchImpl - Fetch implementation to use
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch init (its `signal` also cancels retry waits)
+ * @param {Object} [retryOptions] - Retry options
+ * @param {number} [retryOptions.retries=API.RETRY.MAX_RETRIES] - Maximum retry attempts
+ * @param {Function} [retryOptions.onRetry] - Called with { attempt, delay, error } before each retry
+ * @returns {Promise<Response>} Successful response
+ * @throws {PollinationsAPIError} Typed error once retries are exhausted
+ */
+async function fetchWithRetry(fetchImpl, url, init, retryOptions = {}) {
+  const { retries = API.RETRY.MAX_RETRIES, onRetry } = retryOptions;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+
+    try {
+      const response = await fetchImpl(url, init);
+      if (response.ok) {
+        return response;
+      }
+      error = await createErrorFromResponse(response);
+    } catch (fetchError) {
+      if (fetchError instanceof PollinationsAPIError || (init.signal && init.signal.aborted)) {
+        throw fetchError;
+      }
+      error = new NetworkError(fetchError.message || 'Network request failed', { cause: fetchError });
+    }
+
+    if (!error.retryable || attempt >= retries) {
+      throw error;
+    }
+
+    const delay = getRetryDelay(error, attempt);
+    if (onRetry) {
+      onRetry({ attempt: attempt + 1, delay, error });
+    }
+    await sleep(delay, init.signal);
   }
 }
 
 /**
- * Generate text/audio using chat completions API
- * @param {Object} options - Generation options
- * @returns {Promise<Response>} Fetch response (for streaming)
+ * Get which sampling parameters a model accepts and its default values
+ * Prefers `supportedParameters` reported by /text/models, then MODEL_PARAMETER_RULES.
+ * @param {Object|string} model - Model info from fetchModels, or a model name
+ * @returns {{supported: Array<string>, defaults: Object}} Supported parameter names and defaults
  */
-export async function generateCompletion(options) {
-  const {
-    apiKey,
-    model,
-    messages,
-    systemPrompt,
-    stream = true,
-    seed,
-    modalities,
-    audio
-  } = options;
+export function getModelParameterSupport(model) {
+  const info = typeof model === 'string' ? { name: model } : (model || {});
+  const allParameters = Object.keys(SAMPLING_PARAMETERS);
+  const rule = MODEL_PARAMETER_RULES.find(r => r.match.test(info.name || '')) || {};
 
-  const bodyData = {
-    messages: systemPrompt
-      ? [{ role: 'system', content: systemPrompt }, ...messages]
-      : messages,
-    model,
-    stream,
-    seed
-  };
+  const supported = Array.isArray(info.supportedParameters)
+    ? allParameters.filter(name => info.supportedParameters.includes(name))
+    : allParameters.filter(name => !(rule.unsupported || []).includes(name));
 
-  // Add modalities if specified
-  if (modalities) {
-    bodyData.modalities = modalities;
+  const defaults = {};
+  for (const name of allParameters) {
+    defaults[name] = rule.defaults && rule.defaults[name] !== undefined
+      ? rule.defaults[name]
+      : SAMPLING_PARAMETERS[name].default;
   }
 
-  // Add audio config if specified
-  if (audio) {
-    bodyData.audio = audio;
+  return { supported, defaults };
+}
+
+/**
+ * Get the request field a model takes its thinking budget in
+ * Prefers `supportedParameters` reported by /text/models, then MODEL_THINKING_RULES.
+ * @param {Object|string} model - Model info from fetchModels, or a model name
+ * @returns {'thinking'|'thinking_budget'|null} Field to send, or null if the model reports neither
+ */
+export function getThinkingField(model) {
+  const info = typeof model === 'string' ? { name: model } : (model || {});
+  if (Array.isArray(info.supportedParameters)) {
+    return ['thinking', 'thinking_budget'].find(name => info.supportedParameters.includes(name)) || null;
   }
+  const rule = MODEL_THINKING_RULES.find(r => r.match.test(info.name || ''));
+  return rule ? rule.field : REASONING.DEFAULT_THINKING_FIELD;
+}
 
-  try {
-    const response = await fetch(`${API_BASE_URL}/v1/chat/completions`, {
-      method: 'POST',
-      headers: getHeaders(apiKey),
-      body: JSON.stringify(bodyData)
-    });
+/**
+ * Keep only the sampling parameters a model accepts, dropping empty values
+ * @param {Object} parameters - Requested parameters, keyed by API name (e.g. `top_p`)
+ * @param {Object|string} model - Model info from fetchModels, or a model name
+ * @returns {{accepted: Object, dropped: Array<string>}} Parameters to send and names dropped
+ */
+export function filterSamplingParameters(parameters, model) {
+  const { supported } = getModelParameterSupport(model);
+  const accepted = {};
+  const dropped = [];
 
-    if (!response.ok) {
-      await handleError(response);
-    }
+  for (const [name, value] of Object.entries(parameters || {})) {
+    const isEmpty = value === undefined || value === null || value === ''
+      || (Array.isArray(value) && value.length === 0)
+      || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+    if (isEmpty) continue;
 
-    return response;
-  } catch (error) {
-    console.error('Error generating completion:', error);
-    throw error;
+    if (SAMPLING_PARAMETERS[name] && supported.includes(name)) {
+      accepted[name] = value;
+    } else {
+      dropped.push(name);
+    }
   }
+
+  return { accepted, dropped };
 }
 
 /**
- * Generate speech from text (TTS)
- * @param {Object} options - TTS options
- * @returns {Promise<Blob>} Audio blob
+ * Read Server-Sent Events (SSE) from a stream, yielding each event's data payload
+ * Stops at the `[DONE]` sentinel or when the stream ends.
+ * @param {ReadableStream} stream - Response body stream
+ * @yields {string} Raw `data:` payload of each event
  */
-export async function generateSpeech(options) {
-  const {
-    apiKey,
-    model = 'tts-1',
-    input,
-    voice = 'alloy',
-    responseFormat = 'mp3',
-    speed = 1.0
-  } = options;
+export async function* readSSEData(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let dataLines = [];
+  let finished = false;
 
   try {
-    const response = await fetch(`${API_BASE_URL}/v1/audio/speech`, {
-      method: 'POST',
-      headers: getHeaders(apiKey),
-      body: JSON.stringify({
-        model,
-        input,
-        voice,
-        response_format: responseFormat,
-        speed
-      })
-    });
+    while (true) {
+      const { done, value } = await reader.read();
+
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = done ? '' : lines.pop(); // Keep incomplete line in buffer
+      if (done) lines.push('');
 
-    if (!response.ok) {
-      await handleError(response);
+      for (const line of lines) {
+        if (line === '') {
+          // Blank line ends the event
+          if (dataLines.length === 0) continue;
+          const data = dataLines.join('\n');
+          dataLines = [];
+
+          if (data === '[DONE]') {
+            finished = true;
+            return;
+          }
+          yield data;
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+        // Comments (":") and other fields (event, id, retry) are ignored
+      }
+
+      if (done) {
+        finished = true;
+        return;
+      }
     }
+  } finally {
+    if (!finished) {
+      // Consumer stopped early: release the connection
+      reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
 
-    return await response.blob();
+/**
+ * Parse Server-Sent Events (SSE) stream
+ * @param {ReadableStream} stream - Response body stream
+ * @param {Function} onChunk - Callback for each chunk
+ * @param {Function} onComplete - Callback when stream completes
+ * @param {Function} onError - Callback for errors
+ */
+export async function parseSSEStream(stream, onChunk, onComplete, onError) {
+  try {
+    for await (const data of readSSEData(stream)) {
+      try {
+        const parsed = JSON.parse(data);
+        if (onChunk) onChunk(parsed);
+      } catch (e) {
+        console.warn('Failed to parse SSE data:', data);
+      }
+    }
+    if (onComplete) onComplete();
   } catch (error) {
-    console.error('Error generating speech:', error);
+    if (onError) onError(error);
     throw error;
   }
 }
 
 /**
- * Transcribe audio to text (STT)
- * @param {Object} options - Transcription options
- * @returns {Promise<Object>} Transcription result
+ * Normalized completion event
+ * @typedef {Object} CompletionEvent
+ * @property {string} type - One of 'text', 'reasoning', 'audio', 'transcript', 'image',
+ *   'citations', 'logprobs', 'tool_call', 'usage', 'finish' or 'legacy_audio' (runToolLoop
+ *   adds 'tool_calls', 'tool_result' and 'step')
+ * @property {string} [text] - Text for 'text', 'reasoning' and 'transcript' events
+ * @property {string} [url] - Image URL (often a data URL) for 'image' events
+ * @property {Array<{url: string, title: string}>} [citations] - Sources for 'citations' events
+ * @property {Array<{token: string, logprob: number, top: Array}>} [tokens] - Tokens with their
+ *   log probabilities and top alternatives ({ token, logprob }) for 'logprobs' events
+ * @property {Uint8Array} [data] - PCM16 bytes for 'audio' events
+ * @property {string} [base64] - Base64 MP3 data for 'legacy_audio' events
+ * @property {number} [index] - Tool call index for 'tool_call' events
+ * @property {string} [id] - Tool call ID for 'tool_call' events (first delta only)
+ * @property {string} [name] - Function name for 'tool_call' events (first delta only)
+ * @property {string} [arguments] - Partial JSON arguments for 'tool_call' events
+ * @property {Object} [usage] - Token usage for 'usage' events
+ * @property {string} [reason] - Finish reason for 'finish' events
  */
-export async function transcribeAudio(options) {
-  const {
-    apiKey,
-    audioFile,
-    model = 'whisper-large-v3',
-    language
-  } = options;
 
-  try {
-    const formData = new FormData();
-    formData.append('file', audioFile);
-    formData.append('model', model);
-    if (language) {
-      formData.append('language', language);
+/**
+ * Convert Gemini-style content blocks into normalized events
+ * Code execution returns plots as `image_url` blocks and thinking as `thinking` blocks.
+ * @param {Array<Object>} blocks - `content_blocks` (or array `content`) from a message or delta
+ * @param {boolean} skipText - Leave out text blocks because `content` already carries the text
+ * @returns {Array<CompletionEvent>} Events in block order
+ */
+function contentBlockEvents(blocks, skipText) {
+  const events = [];
+  blocks.forEach(block => {
+    if (!block) return;
+    switch (block.type) {
+      case 'text':
+        if (!skipText && block.text) events.push({ type: 'text', text: block.text });
+        break;
+      case 'thinking': {
+        const thinking = block.thinking || block.text;
+        if (thinking) events.push({ type: 'reasoning', text: thinking });
+        break;
+      }
+      case 'image_url': {
+        const url = typeof block.image_url === 'string' ? block.image_url : block.image_url && block.image_url.url;
+        if (url) events.push({ type: 'image', url });
+        break;
+      }
+      default:
+        break;
     }
+  });
+  return events;
+}
 
-    const headers = {};
-    if (apiKey) {
-      headers['Authorization'] = `Bearer ${apiKey}`;
+/**
+ * Collect search sources from `citations` (URLs) and `url_citation` annotations
+ * @param {Object} chunk - Completion chunk or response
+ * @param {Object} delta - Its delta or message
+ * @returns {Array<{url: string, title: string}>} Sources, possibly empty
+ */
+function collectCitations(chunk, delta) {
+  const citations = [];
+  (Array.isArray(chunk.citations) ? chunk.citations : []).forEach(citation => {
+    if (typeof citation === 'string' && citation) {
+      citations.push({ url: citation, title: '' });
+    } else if (citation && citation.url) {
+      citations.push({ url: citation.url, title: citation.title || '' });
+    }
+  });
+  (Array.isArray(delta.annotations) ? delta.annotations : []).forEach(annotation => {
+    const source = annotation && annotation.type === 'url_citation' && annotation.url_citation;
+    if (source && source.url) {
+      citations.push({ url: source.url, title: source.title || '' });
     }
+  });
+  return citations;
+}
 
-    const response = await fetch(`${API_BASE_URL}/v1/audio/transcriptions`, {
-      method: 'POST',
-      headers,
-      body: formData
-    });
+/**
+ * Convert one completion chunk (streamed delta or full response) into normalized events
+ * @param {Object} chunk - Parsed chat completion chunk or response
+ * @returns {Array<CompletionEvent>} Events in the chunk, in display order
+ */
+export function normalizeCompletionChunk(chunk) {
+  const events = [];
+  if (!chunk) return events;
+
+  const choice = chunk.choices && chunk.choices[0];
+  if (choice) {
+    const delta = choice.delta || choice.message || {};
 
-    if (!response.ok) {
-      await handleError(response);
+    // Some providers name the field `reasoning` instead of `reasoning_content`
+    const reasoning = delta.reasoning_content || (typeof delta.reasoning === 'string' ? delta.reasoning : '');
+    if (reasoning) {
+      events.push({ type: 'reasoning', text: reasoning });
     }
 
-    return await response.json();
-  } catch (error) {
-    console.error('Error transcribing audio:', error);
-    throw error;
+    const hasContentText = typeof delta.content === 'string' && delta.content !== '';
+    if (hasContentText) {
+      events.push({ type: 'text', text: delta.content });
+    }
+
+    // Content blocks: `content_blocks` alongside `content`, or `content` itself as an array
+    const blocks = Array.isArray(delta.content_blocks)
+      ? delta.content_blocks
+      : Array.isArray(delta.content) ? delta.content : null;
+    if (blocks) {
+      events.push(...contentBlockEvents(blocks, hasContentText));
+    }
+
+    if (choice.logprobs && Array.isArray(choice.logprobs.content) && choice.logprobs.content.length > 0) {
+      events.push({
+        type: 'logprobs',
+        tokens: choice.logprobs.content.map(entry => ({
+          token: entry.token,
+          logprob: entry.logprob,
+          top: (entry.top_logprobs || []).map(alt => ({ token: alt.token, logprob: alt.logprob }))
+        }))
+      });
+    }
+
+    const citations = collectCitations(chunk, delta);
+    if (citations.length > 0) {
+      events.push({ type: 'citations', citations });
+    }
+
+    if (delta.audio) {
+      if (delta.audio.data) {
+        events.push({ type: 'audio', data: base64ToUint8Array(delta.audio.data) });
+      }
+      if (delta.audio.transcript) {
+        events.push({ type: 'transcript', text: delta.audio.transcript });
+      }
+    }
+
+    if (Array.isArray(delta.tool_calls)) {
+      delta.tool_calls.forEach((toolCall, i) => {
+        const fn = toolCall.function || {};
+        events.push({
+          type: 'tool_call',
+          index: toolCall.index != null ? toolCall.index : i,
+          id: toolCall.id,
+          name: fn.name,
+          arguments: fn.arguments || ''
+        });
+      });
+    }
+
+    if (choice.finish_reason) {
+      events.push({ type: 'finish', reason: choice.finish_reason });
+    }
+  } else if (chunk.audio) {
+    // Legacy format: complete MP3 clip plus optional text
+    events.push({ type: 'legacy_audio', base64: chunk.audio });
+    if (chunk.text) {
+      events.push({ type: 'text', text: chunk.text });
+    }
+  }
+
+  if (chunk.usage) {
+    events.push({ type: 'usage', usage: chunk.usage });
   }
+
+  return events;
 }
 
 /**
- * Parse Server-Sent Events (SSE) stream
- * @param {ReadableStream} stream - Response body stream
- * @param {Function} onChunk - Callback for each chunk
- * @param {Function} onComplete - Callback when stream completes
- * @param {Function} onError - Callback for errors
+ * Merge a streamed 'tool_call' event into the calls collected so far
+ * The first delta for an index carries the ID and name; later deltas append argument text.
+ * @param {Array<Object>} calls - Calls collected so far, indexed by tool call index (mutated)
+ * @param {CompletionEvent} event - 'tool_call' event
+ * @returns {Array<Object>} The same array, for chaining
  */
-export async function parseSSEStream(stream, onChunk, onComplete, onError) {
-  const reader = stream.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
+export function accumulateToolCall(calls, event) {
+  const call = calls[event.index] || (calls[event.index] = { id: '', name: '', arguments: '' });
+  if (event.id) call.id = event.id;
+  if (event.name) call.name = event.name;
+  call.arguments += event.arguments || '';
+  return calls;
+}
+
+/**
+ * Read a chat completion response as normalized events
+ * Handles SSE streams, non-streaming JSON responses and raw audio bodies.
+ * @param {Response} response - Response from generateCompletion
+ * @param {boolean} [streamed=false] - Whether the request asked for a stream; used when
+ *   the response has no recognizable Content-Type
+ * @yields {CompletionEvent} Normalized events
+ */
+export async function* readCompletionEvents(response, streamed = false) {
+  const contentType = response.headers.get('Content-Type') || '';
+  const isJSON = contentType.includes('application/json');
+  const isAudio = contentType.startsWith('audio/') || contentType.includes('octet-stream');
+
+  if (contentType.includes('text/event-stream') || (streamed && !isJSON && !isAudio)) {
+    for await (const data of readSSEData(response.body)) {
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (e) {
+        console.warn('Failed to parse SSE data:', data);
+        continue;
+      }
+      yield* normalizeCompletionChunk(chunk);
+    }
+    return;
+  }
 
+  if (isAudio) {
+    yield { type: 'audio', data: new Uint8Array(await response.arrayBuffer()) };
+    return;
+  }
+
+  const rawData = await response.text();
+  let parsed;
   try {
-    while (true) {
-      const { done, value } = await reader.read();
+    parsed = JSON.parse(rawData);
+  } catch (e) {
+    // Not JSON, use the raw text
+    yield { type: 'text', text: rawData };
+    return;
+  }
 
-      if (done) {
-        if (onComplete) onComplete();
-        break;
+  if (parsed && parsed.choices && parsed.choices[0]) {
+    yield* normalizeCompletionChunk(parsed);
+  } else {
+    // Unexpected structure, fall back to raw JSON
+    yield { type: 'text', text: JSON.stringify(parsed, null, 2) };
+  }
+}
+
+/**
+ * Create an API client bound to a base URL, extra headers and fetch implementation
+ * Options left unset are resolved on every request from getClientSettings(), so
+ * the default client follows window.POLLINATIONS_CONFIG and the settings panel at runtime.
+ * @param {Object} [options] - Client options
+ * @param {string} [options.baseUrl] - API base URL (e.g. a staging gateway, proxy or mock server)
+ * @param {Object} [options.headers] - Extra headers sent with every request
+ * @param {Function} [options.fetch] - Fetch implementation (defaults to the global fetch)
+ * @returns {Object} Client with fetchModels, generateCompletion, streamCompletion,
+ *   runToolLoop, generateSpeech, transcribeAudio, fetchImageModels, buildImageUrl, generateImage,
+ *   buildTextUrl, generateSimpleText, summarizeConversation, buildAudioUrl, generateAudioFromText,
+ *   verifyApiKey and the fetchAccount* functions
+ */
+export function createClient(options = {}) {
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+
+  /**
+   * Resolve the client's current settings
+   * @returns {{baseUrl: string, headers: Object}} Settings for the next request
+   */
+  function resolveSettings() {
+    const settings = getClientSettings();
+    return {
+      baseUrl: (options.baseUrl || settings.baseUrl).replace(/\/+$/, ''),
+      headers: { ...settings.headers, ...options.headers }
+    };
+  }
+
+  /**
+   * Build a full URL for an API path
+   * @param {string} path - Endpoint path from API.ENDPOINTS
+   * @returns {string} Absolute URL
+   */
+  function endpoint(path) {
+    return `${resolveSettings().baseUrl}${path}`;
+  }
+
+  /**
+   * Get API headers with optional authentication
+   * A key that fails the format check is not sent, so the request goes out anonymously.
+   * @param {string} apiKey - Optional API key for authentication
+   * @param {string|null} [contentType='application/json'] - Content type, null to let fetch set it
+   * @returns {Object} Headers object
+   */
+  function getHeaders(apiKey, contentType = 'application/json') {
+    const headers = { ...resolveSettings().headers };
+
+    if (contentType) {
+      headers['Content-Type'] = contentType;
+    }
+
+    const key = (apiKey || '').trim();
+    if (isValidApiKey(key)) {
+      headers['Authorization'] = `Bearer ${key}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * GET a JSON endpoint
+   * @param {string} path - Endpoint path from API.ENDPOINTS
+   * @param {string} apiKey - API key
+   * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {PollinationsAPIError} Typed error on failure
+   */
+  async function getJSON(path, apiKey, requestOptions = {}) {
+    const { signal, timeout, retries, onRetry } = requestOptions;
+    const request = createRequestSignal(signal, timeout);
+
+    try {
+      const response = await fetchWithRetry(fetchImpl, endpoint(path), {
+        headers: getHeaders(apiKey),
+        signal: request.signal
+      }, { retries, onRetry });
+
+      return await response.json();
+    } finally {
+      request.clearTimeout();
+    }
+  }
+
+  /**
+   * Check an API key without making a generation request
+   * @param {string} apiKey - API key to check
+   * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+   * @returns {Promise<Object>} Key status { valid, type, name, expiresAt, expiresIn,
+   *   permissions: { models, account }, pollenBudget, rateLimitEnabled }
+   * @throws {AuthenticationError} If the key is invalid or revoked
+   */
+  function verifyApiKey(apiKey, requestOptions) {
+    return getJSON(API.ENDPOINTS.ACCOUNT_KEY, apiKey, { retries: 0, ...requestOptions });
+  }
+
+  /**
+   * Fetch the account profile (name, email, tier, createdAt, nextResetAt)
+   * Needs the `account:profile` permission; a key without it gets a PermissionError.
+   * @param {string} apiKey - API key
+   * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+   * @returns {Promise<Object>} Profile
+   */
+  function fetchAccountProfile(apiKey, requestOptions) {
+    return getJSON(API.ENDPOINTS.ACCOUNT_PROFILE, apiKey, requestOptions);
+  }
+
+  /**
+   * Fetch the remaining pollen balance (the key's budget if it has one)
+   * Needs the `account:balance` permission.
+   * @param {string} apiKey - API key
+   * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+   * @returns {Promise<{balance: number}>} Balance
+   */
+  function fetchAccountBalance(apiKey, requestOptions) {
+    return getJSON(API.ENDPOINTS.ACCOUNT_BALANCE, apiKey, requestOptions);
+  }
+
+  /**
+   * Fetch per-request usage history
+   * Needs the `account:usage` permission.
+   * @param {string} apiKey - API key
+   * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+   * @returns {Promise<{usage: Array<Object>, count: number}>} Usage records
+   */
+  function fetchAccountUsage(apiKey, requestOptions) {
+    return getJSON(API.ENDPOINTS.ACCOUNT_USAGE, apiKey, requestOptions);
+  }
+
+  /**
+   * Fetch daily usage aggregated by date and model (last 90 days)
+   * Needs the `account:usage` permission.
+   * @param {string} apiKey - API key
+   * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+   * @returns {Promise<{usage: Array<Object>, count: number}>} Daily usage records
+   */
+  function fetchAccountUsageDaily(apiKey, requestOptions) {
+    return getJSON(API.ENDPOINTS.ACCOUNT_USAGE_DAILY, apiKey, requestOptions);
+  }
+
+  /**
+   * Fetch available text models
+   * @param {string} apiKey - Optional API key
+   * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+   * @returns {Promise<Array>} Array of model objects
+   */
+  async function fetchModels(apiKey, requestOptions) {
+    try {
+      const models = await getJSON(API.ENDPOINTS.MODELS, apiKey, requestOptions);
+
+      // Format models with capability data
+      return models.map(model => {
+        const audioCapability = model.output_modalities
+          ? model.output_modalities.includes('audio')
+          : false;
+
+        const visionCapability = model.input_modalities
+          ? model.input_modalities.includes('image')
+          : false;
+
+        return {
+          id: model.name,
+          name: model.name,
+          description: model.description || '',
+          vision: visionCapability,
+          audio: audioCapability,
+          input_modalities: model.input_modalities || ['text'],
+          output_modalities: model.output_modalities || ['text'],
+          voices: model.voices || [],
+          pricing: model.pricing || null,
+          aliases: model.aliases || [],
+          reasoning: Boolean(model.reasoning),
+          supportedParameters: model.supported_parameters || null,
+          contextWindow: model.context_length || model.context_window || null
+        };
+      });
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error fetching models:', error);
       }
+      throw error;
+    }
+  }
 
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop(); // Keep incomplete line in buffer
+  /**
+   * Generate text/audio using chat completions API
+   * The timeout covers the wait for response headers and then each wait for the next chunk of the body
+   * (see followResponseBody), so a stream that stalls is stopped too.
+   * @param {Object} options - Generation options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request and its stream
+   * @param {number} [options.timeout] - Timeout in milliseconds (defaults to API.TIMEOUT)
+   * @param {number} [options.retries] - Maximum retries for 429/5xx/network failures
+   * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before each retry
+   * @param {Object} [options.parameters] - Sampling parameters (temperature, top_p, max_tokens, stop, ...)
+   * @param {Object} [options.modelInfo] - Model info from fetchModels, used to drop unsupported parameters
+   * @param {Function} [options.onWarning] - Called with { type: 'parameters_dropped', model, parameters } when
+   *   sampling parameters or a thinking budget the model doesn't support are left out of the request
+   * @param {Array<Object>} [options.tools] - Tool definitions in the chat completions format
+   * @param {string|Object} [options.toolChoice] - 'auto', 'none', 'required' or a specific function
+   * @param {boolean} [options.parallelToolCalls] - Allow several tool calls in one turn
+   * @param {Object} [options.responseFormat] - Structured output format (see buildResponseFormat)
+   * @param {string} [options.reasoningEffort] - 'none', 'minimal', 'low', 'medium', 'high' or 'xhigh'
+   * @param {number} [options.thinkingBudget] - Enable extended thinking with this many tokens, sent in the
+   *   field the model takes (see getThinkingField)
+   * @param {boolean} [options.promptCaching] - Add cache breakpoints (see applyCacheBreakpoints)
+   * @param {boolean} [options.systemPromptCache] - Override for the system prompt: true always caches it,
+   *   false never does, unset leaves it to the automatic rule
+   * @param {boolean} [options.logprobs] - Return the log probability of each output token
+   * @param {number} [options.topLogprobs] - With logprobs, also return this many alternatives per token (0-20)
+   * @param {boolean} [options.includeUsage=true] - Ask streamed responses to end with token usage
+   * @returns {Promise<Response>} Fetch response (for streaming)
+   * @throws {PollinationsAPIError} Typed error on failure
+   */
+  async function generateCompletion(options) {
+    const {
+      apiKey,
+      model,
+      messages,
+      systemPrompt,
+      stream = true,
+      seed,
+      modalities,
+      audio,
+      signal,
+      timeout,
+      retries,
+      onRetry,
+      onWarning,
+      parameters,
+      modelInfo,
+      tools,
+      toolChoice,
+      parallelToolCalls,
+      responseFormat,
+      reasoningEffort,
+      thinkingBudget,
+      logprobs,
+      topLogprobs,
+      promptCaching,
+      systemPromptCache,
+      includeUsage = true
+    } = options;
 
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
+    const systemMessage = { role: 'system', content: systemPrompt };
+    if (typeof systemPromptCache === 'boolean') systemMessage.cache = systemPromptCache;
 
-          if (data === '[DONE]') {
-            if (onComplete) onComplete();
-            return;
-          }
+    const bodyData = {
+      messages: applyCacheBreakpoints(
+        systemPrompt ? [systemMessage, ...messages] : messages,
+        { enabled: Boolean(promptCaching) }
+      ),
+      model,
+      stream,
+      seed
+    };
 
-          try {
-            const parsed = JSON.parse(data);
-            if (onChunk) onChunk(parsed);
-          } catch (e) {
-            console.warn('Failed to parse SSE data:', data);
-          }
+    // Streamed responses only report usage when asked to
+    if (stream && includeUsage) {
+      bodyData.stream_options = { include_usage: true };
+    }
+
+    // Add modalities if specified
+    if (modalities) {
+      bodyData.modalities = modalities;
+    }
+
+    // Add audio config if specified
+    if (audio) {
+      bodyData.audio = audio;
+    }
+
+    // Add sampling parameters the model accepts
+    if (parameters) {
+      const { accepted, dropped } = filterSamplingParameters(parameters, modelInfo || model);
+      if (dropped.length > 0 && onWarning) {
+        onWarning({ type: 'parameters_dropped', model, parameters: dropped });
+      }
+      Object.assign(bodyData, accepted);
+    }
+
+    // Add structured output format
+    if (responseFormat) {
+      bodyData.response_format = responseFormat;
+    }
+
+    // Add reasoning controls
+    if (reasoningEffort) {
+      bodyData.reasoning_effort = reasoningEffort;
+    }
+    if (thinkingBudget) {
+      const thinkingField = getThinkingField(modelInfo || model);
+      if (thinkingField === 'thinking') {
+        bodyData.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+      } else if (thinkingField === 'thinking_budget') {
+        bodyData.thinking_budget = thinkingBudget;
+      } else if (onWarning) {
+        onWarning({ type: 'parameters_dropped', model, parameters: ['thinking'] });
+      }
+    }
+
+    // Add token log probabilities
+    if (logprobs) {
+      bodyData.logprobs = true;
+      if (topLogprobs) bodyData.top_logprobs = topLogprobs;
+    }
+
+    // Add function calling options
+    if (tools && tools.length > 0) {
+      bodyData.tools = tools;
+      if (toolChoice) bodyData.tool_choice = toolChoice;
+      if (parallelToolCalls != null) bodyData.parallel_tool_calls = parallelToolCalls;
+    }
+
+    const request = createRequestSignal(signal, timeout);
+
+    try {
+      const response = await fetchWithRetry(fetchImpl, endpoint(API.ENDPOINTS.CHAT_COMPLETIONS), {
+        method: 'POST',
+        headers: getHeaders(apiKey),
+        body: JSON.stringify(bodyData),
+        signal: request.signal
+      }, { retries, onRetry });
+      return followResponseBody(response, request);
+    } catch (error) {
+      request.clearTimeout();
+      if (!isAbortError(error)) {
+        console.error('Error generating completion:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate speech from text (TTS)
+   * @param {Object} options - TTS options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {number} [options.timeout] - Timeout in milliseconds (defaults to API.TIMEOUT)
+   * @param {number} [options.retries] - Maximum retries for 429/5xx/network failures
+   * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before each retry
+   * @returns {Promise<Blob>} Audio blob
+   * @throws {PollinationsAPIError} Typed error on failure
+   */
+  async function generateSpeech(options) {
+    const {
+      apiKey,
+      model = 'tts-1',
+      input,
+      voice = 'alloy',
+      responseFormat = 'mp3',
+      speed = 1.0,
+      signal,
+      timeout,
+      retries,
+      onRetry
+    } = options;
+
+    const request = createRequestSignal(signal, timeout);
+
+    try {
+      const response = await fetchWithRetry(fetchImpl, endpoint(API.ENDPOINTS.AUDIO_SPEECH), {
+        method: 'POST',
+        headers: getHeaders(apiKey),
+        body: JSON.stringify({
+          model,
+          input,
+          voice,
+          response_format: responseFormat,
+          speed
+        }),
+        signal: request.signal
+      }, { retries, onRetry });
+
+      return await response.blob();
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error generating speech:', error);
+      }
+      throw error;
+    } finally {
+      request.clearTimeout();
+    }
+  }
+
+  /**
+   * Fetch available image and video models
+   * @param {string} apiKey - Optional API key
+   * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+   * @returns {Promise<Array>} Array of model objects
+   */
+  async function fetchImageModels(apiKey, requestOptions) {
+    try {
+      const models = await getJSON(API.ENDPOINTS.IMAGE_MODELS, apiKey, requestOptions);
+
+      return models.map(model => ({
+        id: model.name,
+        name: model.name,
+        description: model.description || '',
+        input_modalities: model.input_modalities || ['text'],
+        output_modalities: model.output_modalities || ['image'],
+        video: (model.output_modalities || []).includes('video'),
+        pricing: model.pricing || null,
+        aliases: model.aliases || []
+      }));
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error fetching image models:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build a GET URL with the prompt as the last path segment
+   * Empty, null and false parameters are left out.
+   * @param {string} path - Endpoint path, e.g. API.ENDPOINTS.IMAGE
+   * @param {string} prompt - Text prompt
+   * @param {Object} [params] - Query parameters
+   * @returns {string} Absolute URL
+   */
+  function buildPromptUrl(path, prompt, params = {}) {
+    const query = new URLSearchParams();
+    Object.keys(params).forEach(name => {
+      const value = params[name];
+      if (value === undefined || value === null || value === '' || value === false) return;
+      query.set(name, String(value));
+    });
+
+    const queryString = query.toString();
+    return endpoint(`${path}/${encodeURIComponent(prompt)}`) + (queryString ? `?${queryString}` : '');
+  }
+
+  /**
+   * Build the URL for an image generation request
+   * @param {string} prompt - Text prompt
+   * @param {Object} [params] - Query parameters (model, width, height, seed, ...)
+   * @returns {string} Absolute URL
+   */
+  function buildImageUrl(prompt, params) {
+    return buildPromptUrl(API.ENDPOINTS.IMAGE, prompt, params);
+  }
+
+  /**
+   * Build the URL for an audio request (speech or music)
+   * @param {string} text - Text to speak, or a description of the music
+   * @param {Object} [params] - Query parameters (model, voice, duration, instrumental, ...)
+   * @returns {string} Absolute URL
+   */
+  function buildAudioUrl(text, params) {
+    return buildPromptUrl(API.ENDPOINTS.AUDIO, text, params);
+  }
+
+  /**
+   * Generate speech or music with GET /audio/{text}
+   * The model decides which: `elevenmusic` makes music, TTS models speak the text.
+   * @param {Object} options - Audio options
+   * @param {string} options.text - Text to speak, or a description of the music
+   * @param {string} [options.apiKey] - API key, sent as a Bearer header
+   * @param {Object} [options.params] - Query parameters (model, voice, duration, instrumental, ...)
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {number} [options.timeout] - Timeout in milliseconds (defaults to API.TIMEOUT)
+   * @param {number} [options.retries] - Maximum retries for 429/5xx/network failures
+   * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before each retry
+   * @returns {Promise<Blob>} Audio blob
+   * @throws {PollinationsAPIError} Typed error on failure
+   */
+  async function generateAudioFromText(options) {
+    const {
+      apiKey,
+      text,
+      params,
+      signal,
+      timeout,
+      retries,
+      onRetry
+    } = options;
+
+    const request = createRequestSignal(signal, timeout);
+
+    try {
+      const response = await fetchWithRetry(fetchImpl, buildAudioUrl(text, params), {
+        headers: getHeaders(apiKey, null),
+        signal: request.signal
+      }, { retries, onRetry });
+
+      return await response.blob();
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error generating audio:', error);
+      }
+      throw error;
+    } finally {
+      request.clearTimeout();
+    }
+  }
+
+  /**
+   * Build the URL for a simple text request
+   * The URL never includes the API key, so it is safe to share.
+   * @param {string} prompt - Text prompt
+   * @param {Object} [params] - Query parameters (model, system, seed, ...)
+   * @returns {string} Absolute URL
+   */
+  function buildTextUrl(prompt, params) {
+    return buildPromptUrl(API.ENDPOINTS.TEXT, prompt, params);
+  }
+
+  /**
+   * Generate text with the simple GET /text/{prompt} endpoint
+   * No history, tools or streaming: one prompt in, plain text out.
+   * @param {Object} options - Request options
+   * @param {string} options.prompt - Text prompt
+   * @param {string} [options.apiKey] - API key, sent as a Bearer header
+   * @param {string} [options.model] - Model name
+   * @param {string} [options.system] - System prompt
+   * @param {number} [options.seed] - Seed for reproducible output
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {number} [options.timeout] - Timeout in milliseconds (defaults to API.TIMEOUT)
+   * @param {number} [options.retries] - Maximum retries for 429/5xx/network failures
+   * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before each retry
+   * @returns {Promise<string>} Generated text
+   * @throws {PollinationsAPIError} Typed error on failure
+   */
+  async function generateSimpleText(options) {
+    const {
+      apiKey,
+      prompt,
+      model,
+      system,
+      seed,
+      signal,
+      timeout,
+      retries,
+      onRetry
+    } = options;
+
+    const request = createRequestSignal(signal, timeout);
+
+    try {
+      const response = await fetchWithRetry(fetchImpl, buildTextUrl(prompt, { model, system, seed }), {
+        headers: getHeaders(apiKey, null),
+        signal: request.signal
+      }, { retries, onRetry });
+
+      return await response.text();
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error generating simple text:', error);
+      }
+      throw error;
+    } finally {
+      request.clearTimeout();
+    }
+  }
+
+  /**
+   * Summarize earlier chat turns so a long conversation fits the context window
+   * The turns are sent as one transcript, so any model can summarize any history.
+   * @param {Object} options - Request options
+   * @param {Array<Object>} options.messages - Messages to summarize, in the chat completions format
+   * @param {string} [options.previousSummary] - Summary of the turns before these, to extend
+   * @param {string} [options.apiKey] - API key, sent as a Bearer header
+   * @param {string} [options.model] - Model to summarize with (defaults to CONTEXT.SUMMARY_MODEL)
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {number} [options.timeout] - Timeout in milliseconds (defaults to API.TIMEOUT)
+   * @param {number} [options.retries] - Maximum retries for 429/5xx/network failures
+   * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before each retry
+   * @returns {Promise<{summary: string, usage: Object|null}>} Summary and the request's `usage`
+   * @throws {PollinationsAPIError} Typed error on failure
+   */
+  async function summarizeConversation(options) {
+    const {
+      apiKey,
+      model = CONTEXT.SUMMARY_MODEL,
+      messages,
+      previousSummary,
+      signal,
+      timeout,
+      retries,
+      onRetry
+    } = options;
+
+    const transcript = messages.map(message => `${message.role}: ${getContentText(message.content)}`).join('\n\n');
+    const content = previousSummary
+      ? `Summary so far:\n${previousSummary}\n\nConversation since then:\n${transcript}`
+      : transcript;
+
+    const response = await generateCompletion({
+      apiKey,
+      model,
+      messages: [{ role: 'user', content }],
+      systemPrompt: CONTEXT.SUMMARY_PROMPT,
+      stream: false,
+      signal,
+      timeout,
+      retries,
+      onRetry
+    });
+    const data = await response.json();
+    const message = data.choices && data.choices[0] && data.choices[0].message;
+
+    return {
+      summary: message && typeof message.content === 'string' ? message.content.trim() : '',
+      usage: data.usage || null
+    };
+  }
+
+  /**
+   * Generate an image (or video, for video models) from a text prompt
+   * @param {Object} options - Image options
+   * @param {string} options.prompt - Text prompt
+   * @param {string} [options.apiKey] - API key, sent as a Bearer header
+   * @param {Object} [options.params] - Query parameters (model, width, height, seed, ...)
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {number} [options.timeout] - Timeout in milliseconds (defaults to API.TIMEOUT)
+   * @param {number} [options.retries] - Maximum retries for 429/5xx/network failures
+   * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before each retry
+   * @returns {Promise<Blob>} Image or video blob
+   * @throws {PollinationsAPIError} Typed error on failure
+   */
+  async function generateImage(options) {
+    const {
+      apiKey,
+      prompt,
+      params,
+      signal,
+      timeout,
+      retries,
+      onRetry
+    } = options;
+
+    const request = createRequestSignal(signal, timeout);
+
+    try {
+      const response = await fetchWithRetry(fetchImpl, buildImageUrl(prompt, params), {
+        headers: getHeaders(apiKey, null),
+        signal: request.signal
+      }, { retries, onRetry });
+
+      return await response.blob();
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error generating image:', error);
+      }
+      throw error;
+    } finally {
+      request.clearTimeout();
+    }
+  }
+
+  /**
+   * Transcribe audio to text (STT)
+   * @param {Object} options - Transcription options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {number} [options.timeout] - Timeout in milliseconds (defaults to API.TIMEOUT)
+   * @param {number} [options.retries] - Maximum retries for 429/5xx/network failures
+   * @param {Function} [options.onRetry] - Called with { attempt, delay, error } before each retry
+   * @returns {Promise<Object>} Transcription result
+   * @throws {PollinationsAPIError} Typed error on failure
+   */
+  async function transcribeAudio(options) {
+    const {
+      apiKey,
+      audioFile,
+      model = 'whisper-large-v3',
+      language,
+      signal,
+      timeout,
+      retries,
+      onRetry
+    } = options;
+
+    const request = createRequestSignal(signal, timeout);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', audioFile);
+      formData.append('model', model);
+      if (language) {
+        formData.append('language', language);
+      }
+
+      const response = await fetchWithRetry(fetchImpl, endpoint(API.ENDPOINTS.AUDIO_TRANSCRIPTION), {
+        method: 'POST',
+        headers: getHeaders(apiKey, null),
+        body: formData,
+        signal: request.signal
+      }, { retries, onRetry });
+
+      return await response.json();
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error transcribing audio:', error);
+      }
+      throw error;
+    } finally {
+      request.clearTimeout();
+    }
+  }
+
+  /**
+   * Generate a chat completion and iterate its normalized events
+   * Accepts the same options as generateCompletion; works for streaming and non-streaming.
+   * @param {Object} options - Generation options (see generateCompletion)
+   * @yields {CompletionEvent} Normalized events
+   * @throws {PollinationsAPIError} Typed error on failure
+   *
+   * @example
+   * for await (const event of streamCompletion({ model: 'openai', messages })) {
+   *   if (event.type === 'text') output += event.text;
+   * }
+   */
+  async function* streamCompletion(options) {
+    const response = await generateCompletion(options);
+    yield* readCompletionEvents(response, options.stream !== false);
+  }
+
+  /**
+   * Run a chat completion with local tools until the model gives a final answer
+   * Streams each round like streamCompletion, accumulates tool-call deltas, executes the
+   * calls with the registry and sends `role: "tool"` results back in a new round.
+   * Besides the normal completion events it yields:
+   * - `{ type: 'tool_calls', step, calls, message }` once a round's calls are complete
+   * - `{ type: 'tool_result', step, id, name, content, error, message }` after each call runs
+   * - `{ type: 'step', step }` when a new round starts (step > 0)
+   * `message` is the assistant or `role: "tool"` message added to the conversation, so callers
+   * can keep the exact sequence in their chat history.
+   * @param {Object} options - Generation options (see generateCompletion)
+   * @param {Object} options.toolRegistry - Registry from createToolRegistry()
+   * @param {Array<string>} [options.toolNames] - Only offer these tools (defaults to all)
+   * @param {number} [options.maxToolSteps] - Maximum rounds (defaults to API.TOOLS.MAX_STEPS)
+   * @yields {CompletionEvent} Normalized and tool events
+   * @throws {PollinationsAPIError} Typed error on failure
+   */
+  async function* runToolLoop(options) {
+    const {
+      toolRegistry,
+      toolNames,
+      maxToolSteps = API.TOOLS.MAX_STEPS,
+      ...completionOptions
+    } = options;
+    const tools = toolRegistry.getDefinitions(toolNames);
+    const messages = [...completionOptions.messages];
+
+    for (let step = 0; step < maxToolSteps; step++) {
+      if (step > 0) yield { type: 'step', step };
+
+      const calls = [];
+      let content = '';
+
+      for await (const event of streamCompletion({ ...completionOptions, messages, tools })) {
+        if (event.type === 'tool_call') {
+          accumulateToolCall(calls, event);
+          continue;
         }
+        if (event.type === 'text') content += event.text;
+        yield event;
+      }
+
+      const toolCalls = calls.filter(Boolean);
+      if (toolCalls.length === 0) return;
+
+      const callMessage = {
+        role: 'assistant',
+        content: content || null,
+        tool_calls: toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      };
+      messages.push(callMessage);
+      yield { type: 'tool_calls', step, calls: toolCalls, message: callMessage };
+
+      for (const call of toolCalls) {
+        const result = await toolRegistry.execute(call, { signal: completionOptions.signal });
+        const resultMessage = { role: 'tool', tool_call_id: call.id, content: result.content };
+        messages.push(resultMessage);
+        yield { type: 'tool_result', step, id: call.id, name: call.name, ...result, message: resultMessage };
       }
     }
-  } catch (error) {
-    if (onError) onError(error);
-    throw error;
+
+    console.warn(`Tool loop stopped after ${maxToolSteps} steps without a final answer`);
+    yield { type: 'finish', reason: 'max_tool_steps' };
   }
+
+  return {
+    getSettings: resolveSettings,
+    fetchModels,
+    generateCompletion,
+    streamCompletion,
+    runToolLoop,
+    generateSpeech,
+    transcribeAudio,
+    fetchImageModels,
+    buildImageUrl,
+    generateImage,
+    buildTextUrl,
+    generateSimpleText,
+    summarizeConversation,
+    buildAudioUrl,
+    generateAudioFromText,
+    verifyApiKey,
+    fetchAccountProfile,
+    fetchAccountBalance,
+    fetchAccountUsage,
+    fetchAccountUsageDaily
+  };
+}
+
+const defaultClient = createClient();
+
+/**
+ * Fetch available text models with the default client
+ * @param {string} apiKey - Optional API key
+ * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+ * @returns {Promise<Array>} Array of model objects
+ */
+export function fetchModels(apiKey, requestOptions) {
+  return defaultClient.fetchModels(apiKey, requestOptions);
+}
+
+/**
+ * Generate text/audio with the default client (see createClient)
+ * @param {Object} options - Generation options
+ * @returns {Promise<Response>} Fetch response (for streaming)
+ */
+export function generateCompletion(options) {
+  return defaultClient.generateCompletion(options);
+}
+
+/**
+ * Generate a chat completion with the default client and iterate its normalized events
+ * @param {Object} options - Generation options
+ * @returns {AsyncGenerator<CompletionEvent>} Normalized events
+ */
+export function streamCompletion(options) {
+  return defaultClient.streamCompletion(options);
+}
+
+/**
+ * Run a chat completion with local tools using the default client (see createClient)
+ * @param {Object} options - Generation options plus toolRegistry
+ * @returns {AsyncGenerator<CompletionEvent>} Normalized and tool events
+ */
+export function runToolLoop(options) {
+  return defaultClient.runToolLoop(options);
+}
+
+/**
+ * Generate speech from text (TTS) with the default client
+ * @param {Object} options - TTS options
+ * @returns {Promise<Blob>} Audio blob
+ */
+export function generateSpeech(options) {
+  return defaultClient.generateSpeech(options);
+}
+
+/**
+ * Transcribe audio to text (STT) with the default client
+ * @param {Object} options - Transcription options
+ * @returns {Promise<Object>} Transcription result
+ */
+export function transcribeAudio(options) {
+  return defaultClient.transcribeAudio(options);
+}
+
+/**
+ * Fetch available image and video models with the default client
+ * @param {string} apiKey - Optional API key
+ * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+ * @returns {Promise<Array>} Array of model objects
+ */
+export function fetchImageModels(apiKey, requestOptions) {
+  return defaultClient.fetchImageModels(apiKey, requestOptions);
+}
+
+/**
+ * Build an image generation URL for the default client's base URL
+ * @param {string} prompt - Text prompt
+ * @param {Object} [params] - Query parameters
+ * @returns {string} Absolute URL
+ */
+export function buildImageUrl(prompt, params) {
+  return defaultClient.buildImageUrl(prompt, params);
+}
+
+/**
+ * Generate an image or video with the default client
+ * @param {Object} options - Image options
+ * @returns {Promise<Blob>} Image or video blob
+ */
+export function generateImage(options) {
+  return defaultClient.generateImage(options);
+}
+
+/**
+ * Build a shareable simple text URL for the default client's base URL
+ * @param {string} prompt - Text prompt
+ * @param {Object} [params] - Query parameters (model, system, seed, ...)
+ * @returns {string} Absolute URL
+ */
+export function buildTextUrl(prompt, params) {
+  return defaultClient.buildTextUrl(prompt, params);
+}
+
+/**
+ * Generate text with GET /text/{prompt} using the default client
+ * @param {Object} options - Request options
+ * @returns {Promise<string>} Generated text
+ */
+export function generateSimpleText(options) {
+  return defaultClient.generateSimpleText(options);
+}
+
+/**
+ * Summarize earlier chat turns using the default client
+ * @param {Object} options - Request options
+ * @returns {Promise<{summary: string, usage: Object|null}>} Summary and token usage
+ */
+export function summarizeConversation(options) {
+  return defaultClient.summarizeConversation(options);
+}
+
+/**
+ * Build an audio URL for the default client's base URL
+ * @param {string} text - Text to speak, or a description of the music
+ * @param {Object} [params] - Query parameters
+ * @returns {string} Absolute URL
+ */
+export function buildAudioUrl(text, params) {
+  return defaultClient.buildAudioUrl(text, params);
+}
+
+/**
+ * Generate speech or music with GET /audio/{text} using the default client
+ * @param {Object} options - Audio options
+ * @returns {Promise<Blob>} Audio blob
+ */
+export function generateAudioFromText(options) {
+  return defaultClient.generateAudioFromText(options);
+}
+
+/**
+ * Check an API key with the default client
+ * @param {string} apiKey - API key to check
+ * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+ * @returns {Promise<Object>} Key status
+ */
+export function verifyApiKey(apiKey, requestOptions) {
+  return defaultClient.verifyApiKey(apiKey, requestOptions);
+}
+
+/**
+ * Fetch the account profile with the default client
+ * @param {string} apiKey - API key
+ * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+ * @returns {Promise<Object>} Profile
+ */
+export function fetchAccountProfile(apiKey, requestOptions) {
+  return defaultClient.fetchAccountProfile(apiKey, requestOptions);
+}
+
+/**
+ * Fetch the pollen balance with the default client
+ * @param {string} apiKey - API key
+ * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+ * @returns {Promise<{balance: number}>} Balance
+ */
+export function fetchAccountBalance(apiKey, requestOptions) {
+  return defaultClient.fetchAccountBalance(apiKey, requestOptions);
+}
+
+/**
+ * Fetch per-request usage history with the default client
+ * @param {string} apiKey - API key
+ * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+ * @returns {Promise<{usage: Array<Object>, count: number}>} Usage records
+ */
+export function fetchAccountUsage(apiKey, requestOptions) {
+  return defaultClient.fetchAccountUsage(apiKey, requestOptions);
+}
+
+/**
+ * Fetch daily usage with the default client
+ * @param {string} apiKey - API key
+ * @param {Object} [requestOptions] - { signal, timeout, retries, onRetry }
+ * @returns {Promise<{usage: Array<Object>, count: number}>} Daily usage records
+ */
+export function fetchAccountUsageDaily(apiKey, requestOptions) {
+  return defaultClient.fetchAccountUsageDaily(apiKey, requestOptions);
+}
+
+/**
+ * Strip display-only fields from a chat history entry before sending it to the API
+ * History entries may carry `images`, `citations`, `reasoning` and `audio` for rendering.
+ * Multimodal `content` arrays (text, image_url, input_audio) are sent as they were recorded.
+ * The `cache` override is kept for applyCacheBreakpoints, which removes it.
+ * @param {Object} entry - Chat history entry
+ * @returns {Object} Message with only the fields the API accepts
+ */
+export function toApiMessage(entry) {
+  const message = { role: entry.role, content: entry.content };
+  if (entry.tool_calls) message.tool_calls = entry.tool_calls;
+  if (entry.tool_call_id) message.tool_call_id = entry.tool_call_id;
+  if (entry.name) message.name = entry.name;
+  if (typeof entry.cache === 'boolean') message.cache = entry.cache;
+  return message;
+}
+
+/**
+ * Length of a message's text, for deciding whether a prefix is worth caching
+ * @param {Object} message - Chat message
+ * @returns {number} Number of characters
+ */
+function messageLength(message) {
+  return getContentText(message.content).length;
+}
+
+/**
+ * Mark cache breakpoints with `cache_control: { type: 'ephemeral' }`
+ * Automatic breakpoints go on the system prompt and on the last message before the
+ * new turn, once the prefix up to them is long enough to be cached. A message's
+ * `cache` field overrides this: true always marks it, false never does.
+ * @param {Array<Object>} messages - Messages in request order
+ * @param {Object} [options] - Caching options
+ * @param {boolean} [options.enabled=true] - When false, only strips the `cache` overrides
+ * @param {number} [options.minPrefixChars] - Shortest prefix that gets an automatic breakpoint
+ * @returns {Array<Object>} New messages ready to send
+ */
+export function applyCacheBreakpoints(messages, options = {}) {
+  const {
+    enabled = true,
+    minPrefixChars = PROMPT_CACHE.MIN_PREFIX_CHARS
+  } = options;
+
+  const result = messages.map(message => {
+    const { cache, ...rest } = message;
+    return rest;
+  });
+  if (!enabled) return result;
+
+  const autoIndexes = [];
+  if (messages.length > 0 && messages[0].role === 'system') autoIndexes.push(0);
+  if (messages.length >= 2) autoIndexes.push(messages.length - 2);
+
+  const breakpoints = [];
+  let prefixLength = 0;
+  messages.forEach((message, index) => {
+    prefixLength += messageLength(message);
+    const auto = autoIndexes.includes(index) && prefixLength >= minPrefixChars;
+    if (message.cache === true || (message.cache !== false && auto)) {
+      breakpoints.push(index);
+    }
+  });
+
+  // Providers allow a few breakpoints; later ones cover the longest prefix
+  breakpoints.slice(-PROMPT_CACHE.MAX_BREAKPOINTS).forEach(index => {
+    result[index] = { ...result[index], cache_control: { type: 'ephemeral' } };
+  });
+  return result;
 }
 
 /**
@@ -315,10 +1669,37 @@ export function createMessageContent(options) {
 }
 
 export default {
+  createClient,
   fetchModels,
   generateCompletion,
   generateSpeech,
   transcribeAudio,
   parseSSEStream,
-  createMessageContent
+  readSSEData,
+  normalizeCompletionChunk,
+  readCompletionEvents,
+  streamCompletion,
+  runToolLoop,
+  accumulateToolCall,
+  toApiMessage,
+  applyCacheBreakpoints,
+  fetchImageModels,
+  buildImageUrl,
+  generateImage,
+  buildTextUrl,
+  generateSimpleText,
+  summarizeConversation,
+  buildAudioUrl,
+  generateAudioFromText,
+  verifyApiKey,
+  fetchAccountProfile,
+  fetchAccountBalance,
+  fetchAccountUsage,
+  fetchAccountUsageDaily,
+  createMessageContent,
+  isAbortError,
+  getRetryDelay,
+  getModelParameterSupport,
+  getThinkingField,
+  filterSamplingParameters
 };
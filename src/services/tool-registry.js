@@ -0,0 +1,194 @@
+/**
+ * Tool Registry
+ * Local JavaScript functions the model can call through function calling
+ */
+
+/**
+ * Tool definition
+ * @typedef {Object} Tool
+ * @property {string} name - Function name sent to the model (letters, digits, `_` and `-`)
+ * @property {string} [description] - What the tool does and when to use it
+ * @property {Object} [parameters] - JSON Schema for the arguments object
+ * @property {Function} handler - (args, context) => result; may be async. The result is
+ *   sent back to the model as a string (objects are JSON-encoded)
+ */
+
+/**
+ * Tool call accumulated from a completion
+ * @typedef {Object} ToolCall
+ * @property {string} id - Tool call ID from the model
+ * @property {string} name - Function name
+ * @property {string} arguments - JSON-encoded arguments
+ */
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Create a tool registry
+ * @returns {Object} Registry with register, unregister, has, list, getDefinitions and execute
+ */
+export function createToolRegistry() {
+  const tools = new Map();
+
+  /**
+   * Register a tool, replacing any tool with the same name
+   * @param {Tool} tool - Tool definition
+   * @returns {Function} Function that unregisters the tool
+   */
+  function register(tool) {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool && tool.name}`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} needs a handler function`);
+    }
+
+    tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+    return () => unregister(tool.name);
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   */
+  function unregister(name) {
+    tools.delete(name);
+  }
+
+  /**
+   * Check whether a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean} True if registered
+   */
+  function has(name) {
+    return tools.has(name);
+  }
+
+  /**
+   * List registered tools
+   * @returns {Array<Tool>} Registered tools
+   */
+  function list() {
+    return Array.from(tools.values());
+  }
+
+  /**
+   * Get tool definitions in the chat completions `tools` format
+   * @param {Array<string>} [names] - Only include these tools (defaults to all)
+   * @returns {Array<Object>} Tool definitions
+   */
+  function getDefinitions(names) {
+    return list()
+      .filter(tool => !names || names.includes(tool.name))
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+  }
+
+  /**
+   * Execute a tool call
+   * Failures are returned as `{ error }` content instead of thrown, so the model
+   * can see what went wrong and recover.
+   * @param {ToolCall} call - Tool call from the model
+   * @param {Object} [context] - Passed to the handler (e.g. { signal })
+   * @returns {Promise<{content: string, error: (string|null)}>} Result to send back as a tool message
+   */
+  async function execute(call, context = {}) {
+    const tool = tools.get(call.name);
+    if (!tool) {
+      const error = `Unknown tool: ${call.name}`;
+      return { content: JSON.stringify({ error }), error };
+    }
+
+    let args;
+    try {
+      args = call.arguments ? JSON.parse(call.arguments) : {};
+    } catch (e) {
+      const error = `Invalid JSON arguments for ${call.name}: ${e.message}`;
+      return { content: JSON.stringify({ error }), error };
+    }
+
+    try {
+      const result = await tool.handler(args, context);
+      const content = typeof result === 'string' ? result : JSON.stringify(result === undefined ? null : result);
+      return { content, error: null };
+    } catch (e) {
+      console.warn(`Tool ${call.name} failed:`, e);
+      return { content: JSON.stringify({ error: e.message }), error: e.message };
+    }
+  }
+
+  return {
+    register,
+    unregister,
+    has,
+    list,
+    getDefinitions,
+    execute
+  };
+}
+
+/**
+ * Built-in example tools
+ * @type {Array<Tool>}
+ */
+export const BUILTIN_TOOLS = [
+  {
+    name: 'get_current_time',
+    description: 'Get the current date and time, optionally in a given IANA time zone',
+    parameters: {
+      type: 'object',
+      properties: {
+        timeZone: { type: 'string', description: 'IANA time zone, e.g. "Europe/Berlin"' }
+      }
+    },
+    handler: ({ timeZone }) => ({
+      iso: new Date().toISOString(),
+      local: new Date().toLocaleString('en-US', timeZone ? { timeZone } : undefined),
+      timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
+    })
+  },
+  {
+    name: 'calculate',
+    description: 'Evaluate an arithmetic expression with + - * / % ** and parentheses',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'Expression, e.g. "(2 + 3) * 4"' }
+      },
+      required: ['expression']
+    },
+    handler: ({ expression }) => {
+      if (typeof expression !== 'string' || !/^[\d\s+\-*/%.()eE]+$/.test(expression)) {
+        throw new Error('Only numbers, spaces and + - * / % ( ) are allowed');
+      }
+      const value = Function(`"use strict"; return (${expression});`)();
+      if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error('Expression did not evaluate to a finite number');
+      }
+      return { expression, value };
+    }
+  }
+];
+
+/**
+ * Shared registry used by the app, pre-loaded with BUILTIN_TOOLS
+ * Register team tools on it, e.g. `PollinationsTools.toolRegistry.register({...})`.
+ */
+export const toolRegistry = createToolRegistry();
+BUILTIN_TOOLS.forEach(tool => toolRegistry.register(tool));
+
+export default {
+  createToolRegistry,
+  BUILTIN_TOOLS,
+  toolRegistry
+};
@@ -31,6 +31,20 @@ export function blobToBase64(blob) {
   });
 }
 
+/**
+ * Decode a base64 string into raw bytes
+ * @param {string} base64 - Base64 encoded data (without data URL prefix)
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64ToUint8Array(base64) {
+  const binaryData = atob(base64);
+  const bytes = new Uint8Array(binaryData.length);
+  for (let i = 0; i < binaryData.length; i++) {
+    bytes[i] = binaryData.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * Convert an AudioBuffer to WAV using a Web Worker
  * @param {AudioBuffer} audioBuffer - Input audio buffer
@@ -175,6 +189,7 @@ export function convertPCM16ToFloat32(pcmData, originalSampleRate, targetSampleR
 export default {
   writeString,
   blobToBase64,
+  base64ToUint8Array,
   convertToWav,
   bufferToWav,
   resampleFloat32,
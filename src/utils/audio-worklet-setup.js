@@ -58,9 +58,20 @@ export function stopAudioWorklet(workletNodeRef) {
   }
 }
 
+/**
+ * Halt AudioWorkletNode playback immediately, dropping any queued audio
+ * @param {Object} workletNodeRef - React ref for AudioWorkletNode
+ */
+export function abortAudioWorklet(workletNodeRef) {
+  if (workletNodeRef.current) {
+    workletNodeRef.current.port.postMessage("ABORT");
+  }
+}
+
 export default {
   setupAudioWorklet,
   restartAudioWorklet,
   enqueueAudioData,
-  stopAudioWorklet
+  stopAudioWorklet,
+  abortAudioWorklet
 };
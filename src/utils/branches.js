@@ -0,0 +1,120 @@
+/**
+ * Conversation Branches
+ * Edited or regenerated turns keep the versions they replace, so a chat history is a tree.
+ *
+ * The chat history array is always the active path. A user entry where the conversation
+ * splits carries `branches`, one slot per version of the rest of the conversation from that
+ * entry on, and `branchIndex`, the version on the active path. The active version's slot is
+ * null because those entries are in the history itself.
+ */
+
+/**
+ * Copy of an entry without its branch bookkeeping
+ * @param {Object} entry - Chat history entry
+ * @returns {Object} Entry without `branches` and `branchIndex`
+ */
+function withoutBranches(entry) {
+  const { branches, branchIndex, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * Replace the conversation from `index` on with new entries, keeping the old ones as a branch
+ * @param {Array<Object>} history - Chat history (active path)
+ * @param {number} index - Position of the user entry being edited or regenerated
+ * @param {Array<Object>} entries - New entries from that position, starting with the user entry
+ * @returns {Array<Object>} New history with the new entries as the active branch
+ */
+export function createBranch(history, index, entries) {
+  const current = history[index];
+  if (!current) {
+    return [...history, ...entries];
+  }
+
+  const branches = current.branches ? [...current.branches] : [null];
+  branches[current.branchIndex || 0] = [withoutBranches(current), ...history.slice(index + 1)];
+  branches.push(null);
+
+  const [first, ...rest] = entries;
+  return [
+    ...history.slice(0, index),
+    { ...withoutBranches(first), branches, branchIndex: branches.length - 1 },
+    ...rest
+  ];
+}
+
+/**
+ * Make another version of the conversation from `index` on the active path
+ * @param {Array<Object>} history - Chat history (active path)
+ * @param {number} index - Position of the entry with branches
+ * @param {number} target - Branch to switch to
+ * @returns {Array<Object>} New history, or the same one if there is no such branch
+ */
+export function switchBranch(history, index, target) {
+  const current = history[index];
+  if (!current || !current.branches || target === current.branchIndex || !current.branches[target]) {
+    return history;
+  }
+
+  const branches = [...current.branches];
+  branches[current.branchIndex] = [withoutBranches(current), ...history.slice(index + 1)];
+  const [first, ...rest] = branches[target];
+  branches[target] = null;
+
+  return [...history.slice(0, index), { ...first, branches, branchIndex: target }, ...rest];
+}
+
+/**
+ * Branch position of an entry, for "‹ 2/3 ›" navigation
+ * @param {Object} entry - Chat history entry
+ * @returns {{index: number, count: number}|null} Null if the conversation doesn't split here
+ */
+export function getBranchInfo(entry) {
+  if (!entry || !entry.branches || entry.branches.length < 2) return null;
+  return { index: entry.branchIndex, count: entry.branches.length };
+}
+
+/**
+ * User turn an answer belongs to, skipping the tool messages in between
+ * @param {Array<Object>} history - Chat history (active path)
+ * @param {number} index - Position of the assistant entry
+ * @returns {number} Position of the nearest earlier user entry, or -1 if there is none
+ */
+export function findPromptIndex(history, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (history[i].role === 'user') return i;
+  }
+  return -1;
+}
+
+/**
+ * Text of a message, ignoring image and audio parts
+ * @param {string|Array<Object>} content - Message content
+ * @returns {string} Text
+ */
+export function getContentText(content) {
+  if (Array.isArray(content)) {
+    return content.filter(part => part && part.type === 'text').map(part => part.text).join('\n');
+  }
+  return typeof content === 'string' ? content : '';
+}
+
+/**
+ * Replace the text of a message, keeping its images and audio
+ * @param {string|Array<Object>} content - Message content
+ * @param {string} text - New text
+ * @returns {string|Array<Object>} New content, in the same form as before
+ */
+export function replaceContentText(content, text) {
+  if (!Array.isArray(content)) return text;
+  return [{ type: 'text', text }, ...content.filter(part => part && part.type !== 'text')];
+}
+
+export default {
+  createBranch,
+  switchBranch,
+  getBranchInfo,
+  findPromptIndex,
+  getContentText,
+  replaceContentText
+};
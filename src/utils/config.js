@@ -3,6 +3,8 @@
  * Handles API configuration and environment settings
  */
 
+import { STORAGE_KEYS } from './constants.js';
+
 /**
  * Get configuration from window object or environment
  * @returns {Object} Configuration object
@@ -11,6 +13,7 @@ export function getConfig() {
   const defaultConfig = {
     API_KEY: '',
     API_BASE_URL: 'https://gen.pollinations.ai',
+    API_HEADERS: {},
     DEFAULT_MODEL: 'openai',
     ENABLE_STREAMING: true,
     ENABLE_MEMORY: false,
@@ -37,11 +40,22 @@ export function isValidApiKey(apiKey) {
   if (!apiKey) return false;
 
   // Pollinations API keys start with pk_ (publishable) or sk_ (secret)
-  return apiKey.startsWith('pk_') || apiKey.startsWith('sk_');
+  return /^(pk|sk)_[A-Za-z0-9_-]+$/.test(apiKey);
+}
+
+/**
+ * Get the type of an API key from its prefix
+ * @param {string} apiKey - API key
+ * @returns {'publishable'|'secret'|null} Key type, or null if the format is invalid
+ */
+export function getApiKeyType(apiKey) {
+  if (!isValidApiKey(apiKey)) return null;
+  return apiKey.startsWith('sk_') ? 'secret' : 'publishable';
 }
 
 /**
  * Get API key from config or localStorage
+ * A saved key that fails the format check is ignored.
  * @returns {string} API key or empty string
  */
 export function getApiKey() {
@@ -54,22 +68,86 @@ export function getApiKey() {
 
   // Try localStorage as fallback
   if (typeof window !== 'undefined' && window.localStorage) {
-    return localStorage.getItem('pollinations_api_key') || '';
+    const saved = localStorage.getItem(STORAGE_KEYS.API_KEY);
+    return isValidApiKey(saved) ? saved : '';
   }
 
   return '';
 }
 
+/**
+ * Check whether an API key is remembered in localStorage
+ * @returns {boolean} True if a key is saved
+ */
+export function hasSavedApiKey() {
+  if (typeof window !== 'undefined' && window.localStorage) {
+    return Boolean(localStorage.getItem(STORAGE_KEYS.API_KEY));
+  }
+  return false;
+}
+
 /**
  * Save API key to localStorage
- * @param {string} apiKey - API key to save
+ * Only call this for a key the user typed in and chose to remember. A key that fails the
+ * format check is not saved; any saved key is forgotten instead.
+ * @param {string} apiKey - API key to save, or '' to forget it
  */
 export function saveApiKey(apiKey) {
   if (typeof window !== 'undefined' && window.localStorage) {
-    if (apiKey) {
-      localStorage.setItem('pollinations_api_key', apiKey);
+    if (isValidApiKey(apiKey)) {
+      localStorage.setItem(STORAGE_KEYS.API_KEY, apiKey);
     } else {
-      localStorage.removeItem('pollinations_api_key');
+      localStorage.removeItem(STORAGE_KEYS.API_KEY);
+    }
+  }
+}
+
+/**
+ * Get API client settings (base URL and extra headers)
+ * Settings saved from the settings panel override window.POLLINATIONS_CONFIG.
+ * @returns {{baseUrl: string, headers: Object}} Client settings
+ */
+export function getClientSettings() {
+  const config = getConfig();
+  const settings = {
+    baseUrl: config.API_BASE_URL,
+    headers: config.API_HEADERS || {}
+  };
+
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return settings;
+  }
+
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.CLIENT_SETTINGS);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      return {
+        baseUrl: parsed.baseUrl || settings.baseUrl,
+        headers: { ...settings.headers, ...parsed.headers }
+      };
+    }
+  } catch (e) {
+    console.warn('Failed to load client settings:', e);
+  }
+
+  return settings;
+}
+
+/**
+ * Save API client settings to localStorage
+ * @param {Object|null} settings - { baseUrl, headers }, or null to revert to config defaults
+ */
+export function saveClientSettings(settings) {
+  if (typeof window !== 'undefined' && window.localStorage) {
+    try {
+      if (settings) {
+        localStorage.setItem(STORAGE_KEYS.CLIENT_SETTINGS, JSON.stringify(settings));
+      } else {
+        localStorage.removeItem(STORAGE_KEYS.CLIENT_SETTINGS);
+      }
+    } catch (e) {
+      console.warn('Failed to save client settings:', e);
     }
   }
 }
@@ -125,8 +203,12 @@ export function savePreferences(preferences) {
 export default {
   getConfig,
   isValidApiKey,
+  getApiKeyType,
   getApiKey,
+  hasSavedApiKey,
   saveApiKey,
+  getClientSettings,
+  saveClientSettings,
   getPreferences,
   savePreferences
 };
@@ -6,22 +6,168 @@
 // API Configuration
 export const API = {
   BASE_URL: 'https://gen.pollinations.ai',
+  BASE_URL_PRESETS: {
+    'Production (gen.pollinations.ai)': 'https://gen.pollinations.ai',
+    'Local mock server': 'http://localhost:8787'
+  },
   ENDPOINTS: {
     MODELS: '/text/models',
+    TEXT: '/text',
+    AUDIO: '/audio',
     CHAT_COMPLETIONS: '/v1/chat/completions',
     AUDIO_SPEECH: '/v1/audio/speech',
-    AUDIO_TRANSCRIPTION: '/v1/audio/transcriptions'
+    AUDIO_TRANSCRIPTION: '/v1/audio/transcriptions',
+    ACCOUNT_PROFILE: '/account/profile',
+    ACCOUNT_BALANCE: '/account/balance',
+    ACCOUNT_USAGE: '/account/usage',
+    ACCOUNT_USAGE_DAILY: '/account/usage/daily',
+    ACCOUNT_KEY: '/account/key',
+    IMAGE: '/image',
+    IMAGE_MODELS: '/image/models'
   },
   DEFAULT_MODEL: 'openai',
-  TIMEOUT: 120000 // 2 minutes
+  TIMEOUT: 120000, // 2 minutes
+  RETRY: {
+    MAX_RETRIES: 3,
+    BASE_DELAY: 1000, // ms, doubled on each attempt
+    MAX_DELAY: 30000 // ms
+  },
+  TOOLS: {
+    MAX_STEPS: 5 // model round trips before the tool loop gives up
+  }
+};
+
+// Image generation query parameters (GET /image/{prompt})
+// `models` limits a parameter to the models that accept it; omitted means all models
+export const IMAGE_PARAMETERS = {
+  width: { label: 'Width', type: 'integer', min: 64, max: 2048, step: 64, default: 1024 },
+  height: { label: 'Height', type: 'integer', min: 64, max: 2048, step: 64, default: 1024 },
+  seed: { label: 'Seed', type: 'integer', min: 0, max: 2147483647, default: null },
+  enhance: { label: 'Enhance prompt', type: 'boolean', default: false },
+  negative_prompt: { label: 'Negative prompt', type: 'text', default: '' },
+  safe: { label: 'Safe mode', type: 'boolean', default: false },
+  nologo: { label: 'No logo', type: 'boolean', default: false },
+  private: { label: 'Private (hide from feed)', type: 'boolean', default: false },
+  transparent: { label: 'Transparent background', type: 'boolean', default: false, models: ['gptimage'] },
+  quality: { label: 'Quality', type: 'select', options: ['low', 'medium', 'high', 'hd'], default: 'medium', models: ['gptimage'] },
+  image: { label: 'Reference image URL', type: 'text', default: '', models: ['kontext', 'seedream', 'nanobanana', 'nanobanana-pro', 'gptimage', 'seedance'] },
+  duration: { label: 'Duration (seconds)', type: 'integer', min: 2, max: 10, step: 1, default: 4, models: ['veo', 'seedance'] }
+};
+
+export const DEFAULT_IMAGE_MODEL = 'flux';
+
+// Reasoning controls (chat completions, models with `reasoning: true`)
+export const REASONING = {
+  EFFORT_LEVELS: ['none', 'minimal', 'low', 'medium', 'high', 'xhigh'],
+  DEFAULT_BUDGET: 2048, // thinking tokens
+  MIN_BUDGET: 1024,
+  MAX_BUDGET: 32768,
+  DEFAULT_THINKING_FIELD: 'thinking'
+};
+
+// How model families take a thinking budget (first match wins)
+// 'thinking' sends { type: 'enabled', budget_tokens }; 'thinking_budget' sends the token count
+// Used when /text/models does not report `supported_parameters` for a model
+export const MODEL_THINKING_RULES = [
+  { match: /^claude/, field: 'thinking' },
+  { match: /^(gemini|qwen)/, field: 'thinking_budget' }
+];
+
+// Token log probabilities
+export const LOGPROBS = {
+  MAX_TOP: 20, // top_logprobs upper bound
+  DEFAULT_TOP: 5
 };
 
+// Prompt caching (cache_control breakpoints)
+export const PROMPT_CACHE = {
+  MIN_PREFIX_CHARS: 4096, // ~1024 tokens, the smallest prefix providers will cache
+  MAX_BREAKPOINTS: 4
+};
+
+// Side-by-side model comparison
+export const COMPARE = {
+  MAX_MODELS: 4
+};
+
+// Saved conversations (IndexedDB)
+export const CONVERSATIONS = {
+  DEFAULT_TITLE: 'New conversation',
+  TITLE_LENGTH: 60,
+  SAVE_DELAY: 500, // ms
+  MAX_INLINE_PAYLOAD: 2048, // chars; larger data URLs are dropped when storage is full
+  STRIPPED_PLACEHOLDER: '[attachment removed to save space]',
+  EXPORT_FORMAT: 'pollinations-conversations',
+  EXPORT_VERSION: 1,
+  EXPORT_FORMATS: {
+    json: 'JSON (lossless)',
+    markdown: 'Markdown',
+    jsonl: 'Chat JSONL (fine-tuning)'
+  }
+};
+
+// Sampling Parameters (chat completions)
+// Ranges follow the API docs; `default` is the value the API assumes when omitted
+export const SAMPLING_PARAMETERS = {
+  temperature: { label: 'Temperature', type: 'number', min: 0, max: 2, step: 0.05, default: 1 },
+  top_p: { label: 'Top P', type: 'number', min: 0, max: 1, step: 0.01, default: 1 },
+  max_tokens: { label: 'Max Tokens', type: 'integer', min: 1, max: 32768, step: 1, default: 1024 },
+  presence_penalty: { label: 'Presence Penalty', type: 'number', min: -2, max: 2, step: 0.1, default: 0 },
+  frequency_penalty: { label: 'Frequency Penalty', type: 'number', min: -2, max: 2, step: 0.1, default: 0 },
+  repetition_penalty: { label: 'Repetition Penalty', type: 'number', min: 0, max: 2, step: 0.05, default: 1 },
+  stop: { label: 'Stop Sequences', type: 'list', max: 4, default: [] },
+  logit_bias: { label: 'Logit Bias', type: 'json', default: {} },
+  user: { label: 'User ID', type: 'text', default: '' }
+};
+
+// Known per-model parameter restrictions and defaults (first match wins)
+// Used when /text/models does not report `supported_parameters` for a model
+export const MODEL_PARAMETER_RULES = [
+  { match: /^claude/, unsupported: ['presence_penalty', 'frequency_penalty', 'repetition_penalty', 'logit_bias'] },
+  { match: /^gemini/, unsupported: ['repetition_penalty', 'logit_bias'] },
+  { match: /^perplexity/, unsupported: ['repetition_penalty', 'logit_bias', 'stop'] },
+  { match: /^deepseek/, unsupported: ['repetition_penalty', 'logit_bias'], defaults: { temperature: 0.6 } },
+  { match: /^qwen/, defaults: { temperature: 0.7, top_p: 0.8 } },
+  { match: /^(openai|grok)/, unsupported: ['repetition_penalty'] }
+];
+
+// Context window management
+export const CONTEXT = {
+  STRATEGIES: {
+    sliding: 'Sliding window (drop oldest)',
+    pinned: 'Keep pinned messages',
+    summarize: 'Summarize older turns'
+  },
+  DEFAULT_STRATEGY: 'sliding',
+  DEFAULT_WINDOW: 8192, // tokens, for models without a known context window
+  CHARS_PER_TOKEN: 4, // rough average for English text
+  MESSAGE_OVERHEAD: 4, // tokens for each message's role and formatting
+  IMAGE_TOKENS: 765, // one image at default detail
+  AUDIO_TOKENS: 500, // one recorded clip
+  SUMMARY_TOKENS: 512, // room kept for the summary of older turns
+  SUMMARY_MODEL: 'openai-fast',
+  SUMMARY_PROMPT: 'Summarize the conversation so far in a few short paragraphs. Keep names, facts, decisions, open questions and anything the user asked to remember. Reply with the summary only.',
+  WARNING_RATIO: 0.8 // meter turns yellow from here
+};
+
+// Known context windows in tokens (first match wins)
+// Used when /text/models does not report `context_length` for a model
+export const MODEL_CONTEXT_RULES = [
+  { match: /^gemini/, tokens: 1000000 },
+  { match: /^claude/, tokens: 200000 },
+  { match: /^(openai|gpt|grok)/, tokens: 128000 },
+  { match: /^(deepseek|qwen|kimi|glm)/, tokens: 128000 },
+  { match: /^mistral/, tokens: 32000 }
+];
+
 // Application Tabs
 export const TABS = {
   TEXT: 'text',
   VISION: 'vision',
   SPEECH_TO_TEXT: 'speech',
-  TEXT_TO_SPEECH: 'tts'
+  TEXT_TO_SPEECH: 'tts',
+  IMAGE: 'image',
+  ACCOUNT: 'account'
 };
 
 // Model Capabilities
@@ -47,6 +193,15 @@ export const AUDIO = {
   WORKLET_FORMAT: 'pcm16'
 };
 
+// Music and sound generation (GET /audio/{text})
+export const MUSIC = {
+  MODELS: ['elevenmusic'],
+  DEFAULT_MODEL: 'elevenmusic',
+  DURATION_MIN: 3,
+  DURATION_MAX: 300,
+  DEFAULT_DURATION: 30
+};
+
 // Speech Recognition
 export const SPEECH = {
   LANGUAGES: {
@@ -95,7 +250,11 @@ export const STORAGE_KEYS = {
   API_KEY: 'pollinations_api_key',
   PREFERENCES: 'pollinations_preferences',
   CHAT_HISTORY: 'pollinations_chat_history',
-  LAST_MODEL: 'pollinations_last_model'
+  CLIENT_SETTINGS: 'pollinations_client_settings',
+  SAMPLING_PARAMETERS: 'pollinations_sampling_parameters',
+  LAST_MODEL: 'pollinations_last_model',
+  COMPARE_RESULTS: 'pollinations_compare_results',
+  ACTIVE_CONVERSATION: 'pollinations_active_conversation'
 };
 
 // Error Messages
@@ -105,6 +264,12 @@ export const ERROR_MESSAGES = {
   INVALID_API_KEY: 'Invalid API key format.',
   FILE_TOO_LARGE: 'File is too large.',
   INVALID_FILE_TYPE: 'Invalid file type.',
+  AUTH_ERROR: 'Your API key is missing or invalid. Check the key or get a new one at enter.pollinations.ai.',
+  PERMISSION_DENIED: 'Your API key does not have permission for this model or resource.',
+  INSUFFICIENT_BALANCE: 'Your pollen balance or API key budget is exhausted. Top up at enter.pollinations.ai or try again after the daily reset.',
+  RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+  SERVER_ERROR: 'Pollinations is having trouble right now. Please try again shortly.',
+  TIMEOUT: 'The request timed out. Please try again.',
   AUDIO_NOT_SUPPORTED: 'Audio recording is not supported in this browser.',
   CLIPBOARD_ERROR: 'Failed to copy to clipboard.'
 };
@@ -150,9 +315,22 @@ export const SHORTCUTS = {
 
 export default {
   API,
+  SAMPLING_PARAMETERS,
+  MODEL_PARAMETER_RULES,
+  CONTEXT,
+  MODEL_CONTEXT_RULES,
+  REASONING,
+  MODEL_THINKING_RULES,
+  LOGPROBS,
+  PROMPT_CACHE,
+  COMPARE,
+  CONVERSATIONS,
+  IMAGE_PARAMETERS,
+  DEFAULT_IMAGE_MODEL,
   TABS,
   MODEL_CAPABILITIES,
   AUDIO,
+  MUSIC,
   SPEECH,
   FILE_LIMITS,
   UI,
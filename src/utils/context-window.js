@@ -0,0 +1,161 @@
+/**
+ * Context Window Utilities
+ * Client-side token estimates and trimming chat history to fit a model's context window
+ */
+
+import { CONTEXT, MODEL_CONTEXT_RULES } from './constants.js';
+
+/**
+ * Estimate tokens for a piece of text
+ * A rough character count; real tokenizers differ by model and language.
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTextTokens(text) {
+  return text ? Math.ceil(text.length / CONTEXT.CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimate tokens for one chat message, including images and audio
+ * @param {Object} message - Chat message or history entry
+ * @returns {number} Estimated tokens
+ */
+export function estimateMessageTokens(message) {
+  if (!message) return 0;
+  let tokens = CONTEXT.MESSAGE_OVERHEAD;
+
+  if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      if (!part) continue;
+      if (part.type === 'text') tokens += estimateTextTokens(part.text);
+      else if (part.type === 'image_url') tokens += CONTEXT.IMAGE_TOKENS;
+      else if (part.type === 'input_audio') tokens += CONTEXT.AUDIO_TOKENS;
+    }
+  } else if (typeof message.content === 'string') {
+    tokens += estimateTextTokens(message.content);
+  }
+
+  if (message.tool_calls) {
+    tokens += estimateTextTokens(JSON.stringify(message.tool_calls));
+  }
+  return tokens;
+}
+
+/**
+ * Estimate tokens for a list of messages
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(messages) {
+  return (messages || []).reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+}
+
+/**
+ * Get a model's context window
+ * Prefers `contextWindow` reported by /text/models, then MODEL_CONTEXT_RULES.
+ * @param {Object|string} model - Model info from fetchModels, or a model name
+ * @returns {number} Context window in tokens
+ */
+export function getContextWindow(model) {
+  const info = typeof model === 'string' ? { name: model } : (model || {});
+  if (info.contextWindow) return info.contextWindow;
+  const rule = MODEL_CONTEXT_RULES.find(r => r.match.test(info.name || ''));
+  return rule ? rule.tokens : CONTEXT.DEFAULT_WINDOW;
+}
+
+/**
+ * Index of the newest messages that fit, walking back from the end
+ * The window never starts on an assistant or tool message, whose prompt would be missing.
+ * @param {Array<Object>} history - Chat history
+ * @param {Array<number>} indexes - Candidate positions, oldest first
+ * @param {number} budget - Tokens available
+ * @param {number} [maxMessages] - Most messages to keep; 0 or unset for no limit
+ * @returns {{start: number, tokens: number}} Position in `indexes` where the window starts, and its tokens
+ */
+function fitNewest(history, indexes, budget, maxMessages) {
+  let start = indexes.length;
+  let tokens = 0;
+  while (start > 0) {
+    const next = estimateMessageTokens(history[indexes[start - 1]]);
+    if (tokens + next > budget || (maxMessages && indexes.length - start >= maxMessages)) break;
+    tokens += next;
+    start--;
+  }
+  while (start < indexes.length && history[indexes[start]].role !== 'user') {
+    tokens -= estimateMessageTokens(history[indexes[start]]);
+    start++;
+  }
+  return { start, tokens };
+}
+
+/**
+ * Decide which chat history to send so the request fits the model's context window
+ * - sliding: the newest messages that fit, up to `maxMessages`
+ * - pinned: like sliding, but entries marked `pinned` are always kept
+ * - summarize: like sliding; everything before `cut` should be replaced by a summary
+ * @param {Object} options - Planning options
+ * @param {Array<Object>} options.history - Chat history, oldest first
+ * @param {string} [options.systemPrompt] - System prompt
+ * @param {Object} [options.newMessage] - Message about to be sent
+ * @param {Object|string} [options.model] - Model info from fetchModels, or a model name
+ * @param {number} [options.maxTokens] - Tokens kept free for the response
+ * @param {string} [options.strategy] - 'sliding', 'pinned' or 'summarize'
+ * @param {number} [options.maxMessages] - Most recent messages to keep; 0 or unset for no limit
+ * @returns {{messages: Array<Object>, cut: number, dropped: number, tokens: number, historyTokens: number, limit: number, reserve: number}}
+ *   History entries to send, where the kept recent window starts, how many entries are left
+ *   out, estimated prompt tokens, tokens of the whole history, the context window and the response reserve
+ */
+export function planContext(options) {
+  const {
+    history = [],
+    systemPrompt = '',
+    newMessage = null,
+    model,
+    maxTokens = 0,
+    strategy = CONTEXT.DEFAULT_STRATEGY,
+    maxMessages = 0
+  } = options;
+
+  const limit = getContextWindow(model);
+  const fixed = (systemPrompt ? estimateMessageTokens({ role: 'system', content: systemPrompt }) : 0)
+    + estimateMessageTokens(newMessage);
+  const summaryRoom = strategy === 'summarize' ? CONTEXT.SUMMARY_TOKENS : 0;
+  const budget = limit - maxTokens - fixed - summaryRoom;
+
+  let kept;
+  let cut;
+  let keptTokens;
+  if (strategy === 'pinned') {
+    const pinned = history.map((entry, i) => (entry.pinned ? i : -1)).filter(i => i !== -1);
+    const pinnedTokens = pinned.reduce((sum, i) => sum + estimateMessageTokens(history[i]), 0);
+    const others = history.map((entry, i) => i).filter(i => !history[i].pinned);
+    const { start, tokens } = fitNewest(history, others, budget - pinnedTokens, maxMessages);
+    cut = start < others.length ? others[start] : history.length;
+    kept = history.filter((entry, i) => entry.pinned || i >= cut);
+    keptTokens = pinnedTokens + tokens;
+  } else {
+    const { start, tokens } = fitNewest(history, history.map((entry, i) => i), budget, maxMessages);
+    cut = start;
+    kept = history.slice(cut);
+    keptTokens = tokens;
+  }
+
+  const summarized = strategy === 'summarize' && cut > 0;
+  return {
+    messages: kept,
+    cut,
+    dropped: history.length - kept.length,
+    tokens: fixed + keptTokens + (summarized ? CONTEXT.SUMMARY_TOKENS : 0),
+    historyTokens: estimateTokens(history),
+    limit,
+    reserve: maxTokens
+  };
+}
+
+export default {
+  estimateTextTokens,
+  estimateMessageTokens,
+  estimateTokens,
+  getContextWindow,
+  planContext
+};
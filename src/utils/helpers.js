@@ -3,6 +3,8 @@
  * Common utility functions used across the application
  */
 
+import { ERROR_MESSAGES } from './constants.js';
+
 /**
  * Generate a random seed for reproducible results
  * @returns {number} Random seed between 0-65535
@@ -161,6 +163,28 @@ export function downloadFile(data, filename, mimeType) {
   URL.revokeObjectURL(url);
 }
 
+// File extensions for the audio types the API returns
+const AUDIO_FORMATS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/opus': 'opus',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac'
+};
+
+/**
+ * Audio format (file extension) for a MIME type
+ * @param {string} mimeType - MIME type, parameters allowed (e.g. 'audio/wav; codecs=1')
+ * @param {string} [fallback='mp3'] - Format for unknown or missing types
+ * @returns {string} Format, e.g. 'wav'
+ */
+export function getAudioFormat(mimeType, fallback = 'mp3') {
+  return AUDIO_FORMATS[(mimeType || '').split(';')[0].trim()] || fallback;
+}
+
 /**
  * Format timestamp
  * @param {Date|number} timestamp - Timestamp
@@ -253,6 +277,33 @@ export function parseErrorMessage(error) {
   return 'Unknown error occurred';
 }
 
+/**
+ * Turn an API error into a user-facing message with guidance for the failure type
+ * @param {Error} error - Error thrown by the API service
+ * @returns {string} Message to show in the UI
+ */
+export function formatApiError(error) {
+  const guidance = {
+    AuthenticationError: ERROR_MESSAGES.AUTH_ERROR,
+    PermissionError: ERROR_MESSAGES.PERMISSION_DENIED,
+    InsufficientBalanceError: ERROR_MESSAGES.INSUFFICIENT_BALANCE,
+    RateLimitError: ERROR_MESSAGES.RATE_LIMITED,
+    ServerError: ERROR_MESSAGES.SERVER_ERROR,
+    NetworkError: ERROR_MESSAGES.NETWORK_ERROR,
+    TimeoutError: ERROR_MESSAGES.TIMEOUT
+  }[error && error.name];
+
+  if (!guidance) {
+    return parseErrorMessage(error);
+  }
+
+  let message = `${guidance}\n\nDetails: ${error.message}`;
+  if (error.requestId) {
+    message += ` (Request ID: ${error.requestId})`;
+  }
+  return message;
+}
+
 export default {
   generateSeed,
   formatFileSize,
@@ -263,8 +314,10 @@ export default {
   truncateText,
   copyToClipboard,
   downloadFile,
+  getAudioFormat,
   formatTimestamp,
   validateImageFile,
   validateAudioFile,
-  parseErrorMessage
+  parseErrorMessage,
+  formatApiError
 };
@@ -0,0 +1,270 @@
+/**
+ * JSON Schema Utilities
+ * Structured output helpers: response_format, incremental parsing and validation
+ */
+
+/**
+ * Validation error
+ * @typedef {Object} SchemaError
+ * @property {string} path - JSON path of the failing value (e.g. `$.items[2].name`)
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Build a `response_format` for chat completions
+ * @param {Object|null} schema - JSON Schema; empty or null asks for any JSON object
+ * @param {string} [name='response'] - Schema name sent to the API
+ * @param {boolean} [strict=true] - Ask the model to follow the schema exactly
+ * @returns {Object} response_format value
+ */
+export function buildResponseFormat(schema, name = 'response', strict = true) {
+  if (!schema || Object.keys(schema).length === 0) {
+    return { type: 'json_object' };
+  }
+  return {
+    type: 'json_schema',
+    json_schema: { name, schema, strict }
+  };
+}
+
+/**
+ * Build a JSON Schema from simple field rows (the schema builder)
+ * @param {Array<{name: string, type: string, required: boolean, description: string}>} fields - Fields
+ * @returns {Object} Object schema
+ */
+export function buildSchemaFromFields(fields) {
+  const properties = {};
+  const required = [];
+
+  fields.filter(field => field.name).forEach(field => {
+    const property = field.type === 'array'
+      ? { type: 'array', items: { type: 'string' } }
+      : { type: field.type };
+    if (field.description) property.description = field.description;
+    properties[field.name] = property;
+    if (field.required) required.push(field.name);
+  });
+
+  return {
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: false
+  };
+}
+
+/**
+ * Find where the JSON starts, skipping Markdown code fences or leading prose
+ * @param {string} text - Model output
+ * @returns {string} Text from the first `{` or `[`, or '' if there is none yet
+ */
+function extractJSONText(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return '';
+  return text.slice(start).replace(/\s*```\s*$/, '');
+}
+
+/**
+ * Parse a JSON document that may still be streaming in
+ * Open strings, arrays and objects are closed; an incomplete trailing key or
+ * literal is dropped. Returns undefined until there is something to show.
+ * @param {string} text - Partial JSON (may include a leading code fence)
+ * @returns {*} Best-effort parsed value, or undefined
+ */
+export function parsePartialJSON(text) {
+  const json = extractJSONText(text || '');
+  if (!json) return undefined;
+
+  const stack = [];
+  const cutPoints = [];
+  let inString = false;
+  let escaped = false;
+
+  const closers = () => stack.slice().reverse().join('');
+
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        cutPoints.push(json.slice(0, i + 1) + closers());
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === ',') {
+      cutPoints.push(json.slice(0, i) + closers());
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+      cutPoints.push(json.slice(0, i + 1) + closers());
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      cutPoints.push(json.slice(0, i + 1) + closers());
+      if (stack.length === 0) break;
+    }
+  }
+
+  // Try the whole text first (closing an open string), then fall back to earlier cut points
+  let candidate = json;
+  if (inString) {
+    candidate += escaped ? '\\"' : '"';
+  }
+  const candidates = [candidate.replace(/[,:\s]+$/, '') + closers(), ...cutPoints.reverse()];
+
+  for (const attempt of candidates) {
+    try {
+      return JSON.parse(attempt);
+    } catch (e) {
+      // Incomplete at this point, try an earlier one
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the keywords models are asked to follow: type, enum, const, properties,
+ * required, additionalProperties, items, min/max(Length|Items|imum), pattern,
+ * anyOf, oneOf and allOf. Unknown keywords are ignored.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path='$'] - Path of the value, used in error messages
+ * @returns {Array<SchemaError>} Validation errors (empty when valid)
+ */
+export function validateJSONSchema(value, schema, path = '$') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+    if (!matches) {
+      errors.push({ path, message: `Expected ${types.join(' or ')}, got ${actual}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ path, message: `Must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ path, message: `Must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path, message: `Shorter than ${schema.minLength} characters` });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ path, message: `Longer than ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `Does not match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ path, message: `Less than minimum ${schema.minimum}` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push({ path, message: `Greater than maximum ${schema.maximum}` });
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path, message: `Fewer than ${schema.minItems} items` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ path, message: `More than ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateJSONSchema(item, schema.items, `${path}[${i}]`));
+      });
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: `${path}.${key}`, message: 'Required property is missing' });
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateJSONSchema(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'Property is not allowed by the schema' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJSONSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => errors.push(...validateJSONSchema(value, sub, path)));
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(sub => validateJSONSchema(value, sub, path).length === 0)) {
+    errors.push({ path, message: 'Does not match any allowed schema (anyOf)' });
+  }
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(sub => validateJSONSchema(value, sub, path).length === 0).length;
+    if (matching !== 1) {
+      errors.push({ path, message: `Matches ${matching} schemas, expected exactly one (oneOf)` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate the final structured output
+ * @param {string} text - Complete model output
+ * @param {Object|null} schema - JSON Schema to validate against (skipped if empty)
+ * @returns {{value: *, errors: Array<SchemaError>, parseError: (string|null)}} Result
+ */
+export function parseStructuredOutput(text, schema) {
+  const json = extractJSONText(text || '');
+  try {
+    const value = JSON.parse(json);
+    const errors = schema && Object.keys(schema).length > 0 ? validateJSONSchema(value, schema) : [];
+    return { value, errors, parseError: null };
+  } catch (e) {
+    return { value: parsePartialJSON(text), errors: [], parseError: e.message };
+  }
+}
+
+export default {
+  buildResponseFormat,
+  buildSchemaFromFields,
+  parsePartialJSON,
+  validateJSONSchema,
+  parseStructuredOutput
+};
@@ -0,0 +1,135 @@
+/**
+ * Usage Utilities
+ * Token usage normalization and cost calculation from model pricing
+ */
+
+/**
+ * Token counts split by how they are billed
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTextTokens - Input text tokens (excluding cached and audio)
+ * @property {number} promptCachedTokens - Input tokens served from the prompt cache
+ * @property {number} promptAudioTokens - Input audio tokens
+ * @property {number} completionTextTokens - Output text tokens (excluding reasoning and audio)
+ * @property {number} completionReasoningTokens - Output reasoning tokens
+ * @property {number} completionAudioTokens - Output audio tokens
+ * @property {number} totalTokens - All tokens
+ */
+
+const EMPTY_USAGE = {
+  promptTextTokens: 0,
+  promptCachedTokens: 0,
+  promptAudioTokens: 0,
+  completionTextTokens: 0,
+  completionReasoningTokens: 0,
+  completionAudioTokens: 0,
+  totalTokens: 0
+};
+
+/**
+ * Convert an API `usage` object into billed token counts
+ * @param {Object} usage - `usage` from a chat completion
+ * @returns {TokenUsage} Normalized token counts
+ */
+export function normalizeUsage(usage) {
+  if (!usage) return { ...EMPTY_USAGE };
+
+  const promptDetails = usage.prompt_tokens_details || {};
+  const completionDetails = usage.completion_tokens_details || {};
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  // Some providers report cache hits outside prompt_tokens_details
+  const promptCachedTokens = promptDetails.cached_tokens || usage.cache_read_input_tokens || usage.prompt_cache_hit_tokens || 0;
+  const promptAudioTokens = promptDetails.audio_tokens || 0;
+  const completionReasoningTokens = completionDetails.reasoning_tokens || 0;
+  const completionAudioTokens = completionDetails.audio_tokens || 0;
+
+  return {
+    promptTextTokens: Math.max(0, promptTokens - promptCachedTokens - promptAudioTokens),
+    promptCachedTokens,
+    promptAudioTokens,
+    completionTextTokens: Math.max(0, completionTokens - completionReasoningTokens - completionAudioTokens),
+    completionReasoningTokens,
+    completionAudioTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens
+  };
+}
+
+/**
+ * Add token counts together
+ * @param {...TokenUsage} usages - Normalized usages
+ * @returns {TokenUsage} Sum
+ */
+export function sumUsage(...usages) {
+  const total = { ...EMPTY_USAGE };
+  usages.forEach(usage => {
+    Object.keys(total).forEach(key => {
+      total[key] += (usage && usage[key]) || 0;
+    });
+  });
+  return total;
+}
+
+/**
+ * Calculate the cost of a request from the model's pricing
+ * Cached and reasoning tokens fall back to the text rates when the model has no
+ * separate price for them.
+ * @param {TokenUsage} usage - Normalized usage
+ * @param {Object} pricing - Model `pricing` from fetchModels (per-token rates)
+ * @returns {{amount: number, currency: string}|null} Cost, or null without pricing
+ */
+export function calculateCost(usage, pricing) {
+  if (!usage || !pricing) return null;
+
+  const rate = (key, fallback) => {
+    const value = pricing[key] != null ? pricing[key] : pricing[fallback];
+    return Number(value) || 0;
+  };
+
+  const amount =
+    usage.promptTextTokens * rate('promptTextTokens') +
+    usage.promptCachedTokens * rate('promptCachedTokens', 'promptTextTokens') +
+    usage.promptAudioTokens * rate('promptAudioTokens', 'promptTextTokens') +
+    usage.completionTextTokens * rate('completionTextTokens') +
+    usage.completionReasoningTokens * rate('completionReasoningTokens', 'completionTextTokens') +
+    usage.completionAudioTokens * rate('completionAudioTokens', 'completionTextTokens');
+
+  return { amount, currency: pricing.currency || 'pollen' };
+}
+
+/**
+ * Calculate how much the prompt cache saved compared with paying the text rate
+ * @param {TokenUsage} usage - Normalized usage
+ * @param {Object} pricing - Model `pricing` from fetchModels (per-token rates)
+ * @returns {{amount: number, currency: string}|null} Savings, or null without pricing or a cached rate
+ */
+export function calculateCacheSavings(usage, pricing) {
+  if (!usage || !pricing || pricing.promptCachedTokens == null) return null;
+
+  const saved = usage.promptCachedTokens * (Number(pricing.promptTextTokens) - Number(pricing.promptCachedTokens));
+  return { amount: Math.max(0, saved) || 0, currency: pricing.currency || 'pollen' };
+}
+
+/**
+ * Format a cost for display
+ * @param {{amount: number, currency: string}|null} cost - Cost from calculateCost
+ * @returns {string} Formatted cost, e.g. "0.0000124 pollen"
+ */
+export function formatCost(cost) {
+  if (!cost) return 'unknown cost';
+  const { amount, currency } = cost;
+  const formatted = amount === 0
+    ? '0'
+    : amount < 0.01
+      ? Number(amount.toPrecision(3)).toString()
+      : amount.toFixed(4);
+  return `${formatted} ${currency}`;
+}
+
+export default {
+  normalizeUsage,
+  sumUsage,
+  calculateCost,
+  calculateCacheSavings,
+  formatCost
+};